@@ -0,0 +1,48 @@
+/**
+ * Minimal REST/JSON backend for the tracker's REST DataAdapter.
+ * ------------------------------------------------------------
+ *   GET   /db  -> stored DB (404 while empty)
+ *   PUT   /db  -> replace the stored DB
+ *   PATCH /db  -> shallow-merge top-level keys, responds with the result
+ *
+ * Usage: npm run mock-server [-- <port> <file.json>]
+ * The DB is kept in memory and, when a file is given, written to it after every change.
+ */
+import http from "node:http";
+import fs from "node:fs";
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const file = process.argv[3];
+
+let db = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+const persist = () => { if (file) fs.writeFileSync(file, JSON.stringify(db, null, 2)); };
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, PATCH, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = "";
+  req.on("data", (chunk) => { raw += chunk; });
+  req.on("end", () => { try { resolve(raw ? JSON.parse(raw) : null); } catch (e) { reject(e); } });
+  req.on("error", reject);
+});
+
+http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.url.split("?")[0] !== "/db") return send(res, 404, { error: "Not found" });
+  try {
+    if (req.method === "GET") return db ? send(res, 200, db) : send(res, 404, { error: "Empty" });
+    if (req.method === "PUT") { db = await readBody(req); persist(); return send(res, 200, db); }
+    if (req.method === "PATCH") { db = { ...(db || {}), ...(await readBody(req)) }; persist(); return send(res, 200, db); }
+    return send(res, 405, { error: "Method not allowed" });
+  } catch (e) {
+    return send(res, 400, { error: e.message });
+  }
+}).listen(port, () => console.log(`Mock tracker backend on http://localhost:${port}/db${file ? ` (file: ${file})` : ""}`));
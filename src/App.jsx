@@ -1,30 +1,57 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { lineTotal, linesTotal, amountOf, usdOf, unitUsdOf, STAGE_RANK, adjustmentSteps, netUsdOf, adjustmentText, invoiceTotals } from "./money.js";
 
 /**
  * Income & Debt Tracker – Minimal React Single-File App
  * ----------------------------------------------------
  * Goals covered from your spec:
- *  - Two members: Debi & Bocha (simple auth gate with PIN 1234; switch user)
+ *  - Members: Debi & Bocha by default, more can be added, renamed or deactivated
+ *  - Auth gate: per-member PIN (salted PBKDF2 hash via Web Crypto), lockout after repeated failures, idle session timeout
+ *  - Permissions: read-only accountant role, owner-only edits of amounts/splits, closed months need the other member's approval
  *  - Top-left logo that can be uploaded (PNG 600x100 with transparency recommended)
- *  - Summary cards: Total Income, Shares, Current Debt (who owes who)
+ *  - Summary cards: Total Income, Shares, Current Debt (minimal "who pays whom" transfers) + pairwise balance matrix
  *  - Filters: period (Last 6M default), client, creator
  *  - Chart: monthly totals (last 6 months by default)
  *  - Invoices table:
- *      • currency USD default; ARS (peso) supported with per-row FX rate editable
- *      • net amount = base + per-row adjustments (fixed or %; taxes/discounts)
- *      • createdBy (Debi or Bocha)
- *      • split (amounts or %; editable)
+ *      • sequential invoice numbers (prefix, yearly reset, padding, starting number); duplicates are flagged
+ *      • status (draft/sent/void, partially paid/paid from payments), due date + overdue flag, partial payments with their own FX
+ *      • currency USD default; any registered currency (ARS, EUR, BRL, …) with a per-row FX rate against any base
+ *      • totals, chart and tables shown in a selectable reporting currency
+ *      • historical FX table (CSV import) auto-fills row rates by date and source; missing/odd rates are highlighted
+ *      • line items (description, qty, unit price, optional per-line split) or a single amount
+ *      • net amount = base + per-row adjustments (fixed or %; taxes/discounts), picked ad hoc or from the tax rule catalog
+ *        fixed ones carry their own currency, percents apply to the gross or to the running total; per-row breakdown
+ *      • createdBy (any member)
+ *      • split across any number of members (amounts, %, or fixed amounts with the remainder to one member; editable)
+ *        live validation and auto-balance in the editor; a dashboard warning lists splits that don't add up to the net
  *  - Expenses section (below) with same currency+FX handling and per-row split
+ *  - Settlements: partner-to-partner payments that pay down the debt; "Settle up" pre-fills the balance
+ *  - Debt basis: invoiced amounts (default) or only what clients have actually paid
+ *  - Printable invoices: "Print" on a row renders an HTML invoice (logo, lines, taxes, totals, payment instructions),
+ *    from a default template that each client can override
+ *  - CSV import wizard for invoices/expenses: column mapping, date and decimal format detection, preview, duplicates
+ *  - Exports of the filtered invoice/expense tables with computed columns, as CSV or an XLSX workbook (no server)
+ *  - Bank statements (CSV/OFX): auto-match to invoices/expenses, reconciled marks, unmatched queue -> new expenses
+ *  - Recurring invoices/expenses (monthly, quarterly, yearly on a chosen day): rows are generated on login, pausable
+ *  - Expense categories (a tree) with monthly budgets, budget vs actual for the period, invoice tags
+ *  - Tax rules: reusable catalog (IVA, IIBB, withholdings, bank fees) with stage and bearer; tax report per period
+ *  - AR aging: unpaid balances per client in current / 1–30 / 31–60 / 61–90 / 90+ days buckets, with drill-down
  *  - Client manager: seeded with Lions, TGI, Ecuabet; add more later
- *  - Data persistence: localStorage; import/export JSON; change log (append-only)
- *  - No backend yet, but a DataAdapter interface is ready to be wired to Google Sheets
+ *  - Data persistence: pluggable DataAdapter (localStorage or a REST/JSON backend); import/export JSON; change log (append-only)
+ *  - History: undo/redo, per-entry revert and a read-only "as of date" view rebuilt from the changelog
+ *  - Audit log: full changelog with user/action/record/date filters, paging and field-by-field diffs
+ *  - Optional passphrase: stored DB and exports encrypted with AES-GCM (Web Crypto)
  *
  * IMPORTANT: This is a self-contained preview component for quick iteration.
  * Later we can graduate it to a full repo (Vite/Next.js) and plug in a Sheets/DB adapter.
  */
 
 // ----------------------------- Utilities -----------------------------
-const fmtUSD = (n) => n.toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 2 });
+// Currency-aware formatter; cur is a registry entry ({ code, symbol, decimals })
+const fmtMoney = (n, cur) => {
+  const abs = Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: cur.decimals, maximumFractionDigits: cur.decimals });
+  return `${n < 0 ? "-" : ""}${cur.symbol}${abs}`;
+};
 const todayISO = () => new Date().toISOString().slice(0, 10);
 const lastMonths = (n) => {
   const d = new Date();
@@ -37,45 +64,138 @@ const lastMonths = (n) => {
 // Simple ID helper
 const uid = () => Math.random().toString(36).slice(2, 10);
 
+// Minimal CSV parser: quoted fields with "" escapes; the delimiter (, ; or tab) is detected from the first line
+const parseCSV = (text) => {
+  const first = text.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+};
+
+// "1,234.56" and "1.234,56" both -> 1234.56 (the last separator is the decimal one)
+const parseNumber = (v) => {
+  let t = String(v ?? "").trim().replace(/[^\d.,-]/g, "");
+  if (t.lastIndexOf(",") > t.lastIndexOf(".")) t = t.replace(/\./g, "").replace(",", ".");
+  else t = t.replace(/,/g, "");
+  return parseFloat(t);
+};
+
+// YYYY-MM-DD or DD/MM/YYYY (MM/DD/YYYY with order "mdy") -> YYYY-MM-DD (null when unparseable or no such day)
+const parseDate = (v, order = "dmy") => {
+  const t = String(v ?? "").trim();
+  let m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let year, month, day;
+  if (m) [, year, month, day] = m;
+  else {
+    m = t.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!m) return null;
+    [day, month] = order === "mdy" ? [m[2], m[1]] : [m[1], m[2]];
+    year = m[3];
+  }
+  // Date.UTC rolls 31/02 over into March and 13 into the next year: only a real date comes back unchanged
+  const d = new Date(Date.UTC(+year, month - 1, +day));
+  if (d.getUTCFullYear() !== +year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== +day) return null;
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+};
+
 // ----------------------------- Data Model -----------------------------
 /**
  * Each money row can be income or expense.
- * currency: "USD" or "ARS" (peso). For ARS we convert to USD using fxRate (ARS per 1 USD).
- * usd = currency === "USD" ? amount : amount / fxRate
- * adjustments: array of { id, label, type: 'fixed'|'percent', value }
- * split: { debi: number, bocha: number, mode: 'amount'|'percent' }
+ * currency: any code in meta.currencies. fxRate is units of `currency` per 1 `fxBase` (default "USD"), e.g. ARS per 1 USD.
+ * usd = amount / fxRate, converted from fxBase to USD through the registry (USD rows need no rate)
+ * currencies: meta.currencies = [{ id, code, symbol, decimals, usdRate }]; usdRate is units per 1 USD (reference rate)
+ * fxSource: which published rate the row uses ("oficial", "MEP", "blue", …); db.fxTable holds the history:
+ *   [{ id, date, base, quote, rate, source }] with rate = quote per 1 base
+ * adjustments: array of { id, label, type: 'fixed'|'percent', value, currency?, base?, ruleId?, stage?, bearer? }
+ *   fixed: value in `currency` (the row's own currency converts at the row's rate); percent: base 'gross' | 'running'
+ *   picked from the catalog meta.taxRules = [{ id, name, kind: 'tax'|'withholding'|'fee', type, value, stage, bearer }]
+ *   (a copy of the rule at the time, so later rate changes do not rewrite old rows; see Taxes)
+ * members: meta.members = [{ id, name, active, role, pin? }]; rows reference members by id (createdBy, paidBy, from, to).
+ *   pin = { salt, hash, iterations, temporary? } (see Auth); temporary marks a PIN another member set as an invitation.
+ *   role = 'member' | 'accountant' (see Permissions)
+ * split: { mode: 'amount'|'percent'|'remainder', shares: { [memberId]: number }, remainderTo? }
+ *   amount shares are USD; in 'remainder' mode the other members' shares are USD and remainderTo takes the rest
+ * meta.invoiceTemplate = { title, issuer, paymentInstructions, footer, accent } is the printable invoice layout;
+ *   a client's `template` ({ billTo, … }) overrides any of its fields for that client.
+ * Invoices may have lines: [{ id, description, qty, unitPrice, split? }]. When present they are the amount
+ *   (`amount` mirrors their total); a line's own split overrides the invoice split for that line.
+ * Invoices also have status ('draft'|'sent'|'void'; drafts and void count as neither income nor debt), dueDate and payments:
+ *   [{ id, date, amount, currency, fxRate, fxBase, fxSource?, note }] (see Invoice Status)
  * For expenses, paidBy indicates who paid (affects debt calc like invoices creator does).
+ * Expenses have categoryId (null = uncategorized) into meta.categories = [{ id, name, parentId, budget }], budget being
+ *   USD per month (null = none; a parent without one sums its children's). Invoices carry free-form tags: string[].
+ * Settlements record money moving between partners to pay down the debt:
+ *   { id, date, from, to, currency, amount, fxRate, method, note }
+ * db.bankTxns are imported statement lines: { id, account, date, amount (signed, + = money in), currency, description,
+ *   fitid?, match: { coll, id } | null, ignored? }. A row is reconciled when a transaction matches it (see Bank Reconciliation).
+ * db.recurring holds templates: { id, coll: 'invoices'|'expenses', frequency: 'monthly'|'quarterly'|'yearly', day, start,
+ *   end, paused, fx: 'table'|'fixed', lastRun, template, createdBy }; generated rows carry recurringId (see Recurring).
  */
 
 const seed = () => ({
+  schemaVersion: SCHEMA_VERSION,
   meta: {
-    members: ["Debi", "Bocha"],
+    members: [
+      { id: "m-debi", name: "Debi", active: true, role: "member" },
+      { id: "m-bocha", name: "Bocha", active: true, role: "member" },
+    ],
     clients: [
       { id: "c-lions", name: "Lions" },
       { id: "c-tgi", name: "TGI" },
       { id: "c-ecuabet", name: "Ecuabet" },
     ],
+    currencies: DEFAULT_CURRENCIES,
     logoDataUrl: null,
+    logoHash: null,
+    invoiceTemplate: DEFAULT_INVOICE_TEMPLATE,
+    taxRules: DEFAULT_TAX_RULES,
+    categories: DEFAULT_CATEGORIES,
   },
   settings: {
     period: "6m",
+    reportingCurrency: "USD",
+    fxSources: ["oficial", "MEP", "blue"],
+    defaultFxSource: "oficial",
+    fxDeviationPct: 10,
+    sessionTimeoutMin: 15,
+    permissions: { ownerOnly: true, closedThrough: null },
+    debtBasis: "invoiced", // "invoiced" | "collected"
+    invoiceNumbering: DEFAULT_NUMBERING,
+    reconcileWindowDays: 7,
   },
   invoices: [
     // Example starting rows (editable)
     {
       id: uid(), date: new Date().toISOString().slice(0,10), clientId: "c-lions", invoiceNo: "INV-1001",
       currency: "USD", amount: 1200, fxRate: 0,
-      createdBy: "Debi",
-      adjustments: [ { id: uid(), label: "Bank tax", type: "percent", value: -3 } ], // -3% cost
-      split: { mode: "percent", debi: 50, bocha: 50 },
+      createdBy: "m-debi",
+      status: "sent", dueDate: null, payments: [], lines: [],
+      adjustments: [ { id: uid(), label: "Bank tax", type: "percent", value: -3, base: "gross" } ], // -3% cost
+      split: { mode: "percent", shares: { "m-debi": 50, "m-bocha": 50 } },
       notes: "Example row",
     },
     {
       id: uid(), date: new Date().toISOString().slice(0,10), clientId: "c-tgi", invoiceNo: "INV-1002",
       currency: "ARS", amount: 900000, fxRate: 1000, // ARS per 1 USD; 900k ARS ≈ $900
-      createdBy: "Bocha",
+      createdBy: "m-bocha",
+      status: "sent", dueDate: null, payments: [], lines: [],
       adjustments: [],
-      split: { mode: "percent", debi: 50, bocha: 50 },
+      split: { mode: "percent", shares: { "m-debi": 50, "m-bocha": 50 } },
       notes: "Peso example",
     },
   ],
@@ -83,86 +203,1827 @@ const seed = () => ({
     {
       id: uid(), date: todayISO(), description: "Accountant retainer",
       currency: "USD", amount: 200, fxRate: 0,
-      paidBy: "Debi",
+      paidBy: "m-debi",
+      categoryId: "cat-services",
       adjustments: [],
-      split: { mode: "percent", debi: 50, bocha: 50 },
+      split: { mode: "percent", shares: { "m-debi": 50, "m-bocha": 50 } },
     },
   ],
+  settlements: [],
+  fxTable: [],
+  bankTxns: [],
+  recurring: [],
+  approvals: [],
   changelog: [],
 });
 
+// ----------------------------- Schema & Migrations -----------------------------
+/**
+ * db.schemaVersion is the shape of the stored document. MIGRATIONS[v] upgrades version v to v + 1;
+ * append new steps at the end and never edit one that has shipped. Every DB that enters the app
+ * (adapter load, pull from a backend, import) goes through migrateDB, which then validates and repairs rows
+ * so a malformed record cannot crash netUsdOf/splitUsd. A step may push to `notes` what it changed that a user
+ * should know about; they are reported along with the repairs.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: documents saved before versioning existed
+  (db) => ({
+    ...db,
+    settings: { period: "6m", ...(db.settings || {}) },
+    changelog: db.changelog || [],
+    conflicts: db.conflicts || [],
+  }),
+  // 1 -> 2: settlement payments between partners
+  (db) => ({ ...db, settlements: db.settlements || [] }),
+  // 2 -> 3: members get ids that rows reference, and splits are keyed by member id (also inside changelog ops)
+  (db) => {
+    const members = (db.meta?.members || ["Debi", "Bocha"]).map((m) => (typeof m === "string" ? { id: `m-${m.toLowerCase()}`, name: m, active: true } : m));
+    const idOf = (name) => members.find((m) => m.name === name)?.id ?? name;
+    const upgrade = (r) => {
+      if (!r || typeof r !== "object") return r;
+      const out = { ...r };
+      ["createdBy", "paidBy", "from", "to"].forEach((k) => { if (k in out) out[k] = idOf(out[k]); });
+      if (out.split && !out.split.shares) {
+        const { mode, debi, bocha } = out.split;
+        out.split = { mode, shares: { [idOf("Debi")]: debi ?? 0, [idOf("Bocha")]: bocha ?? 0 } };
+      }
+      return out;
+    };
+    const upgradeOp = (op) => op && { ...op, ...(op.row && { row: upgrade(op.row) }), ...(op.patch && { patch: upgrade(op.patch) }) };
+    const field = (c, v) => upgrade({ [c.field]: v })[c.field];
+    return {
+      ...db,
+      meta: { ...db.meta, members },
+      invoices: (db.invoices || []).map(upgrade),
+      expenses: (db.expenses || []).map(upgrade),
+      settlements: (db.settlements || []).map(upgrade),
+      changelog: (db.changelog || []).map((e) => ({ ...e, user: idOf(e.user), op: upgradeOp(e.op) })),
+      conflicts: (db.conflicts || []).map((c) => ({ ...c, user: idOf(c.user), local: field(c, c.local), remote: field(c, c.remote) })),
+    };
+  },
+  // 3 -> 4: currency registry and reporting currency
+  (db) => ({
+    ...db,
+    meta: { ...db.meta, currencies: db.meta?.currencies || DEFAULT_CURRENCIES },
+    settings: { reportingCurrency: "USD", ...db.settings },
+  }),
+  // 4 -> 5: historical FX rate table and rate sources
+  (db) => ({
+    ...db,
+    fxTable: db.fxTable || [],
+    settings: { fxSources: ["oficial", "MEP", "blue"], defaultFxSource: "oficial", fxDeviationPct: 10, ...db.settings },
+  }),
+  // 5 -> 6: per-member PINs replace the shared "1234" (members set theirs on next login) and sessions time out
+  (db) => ({ ...db, settings: { sessionTimeoutMin: 15, ...db.settings } }),
+  // 6 -> 7: member roles, ownership rules and closed-month approvals
+  (db) => ({
+    ...db,
+    meta: { ...db.meta, members: (db.meta?.members || []).map((m) => ({ role: "member", ...m })) },
+    settings: { ...db.settings, permissions: db.settings?.permissions || { ownerOnly: true, closedThrough: null } },
+    approvals: db.approvals || [],
+  }),
+  // 7 -> 8: invoice status, due dates and client payments; existing invoices count as sent
+  (db) => ({
+    ...db,
+    invoices: (db.invoices || []).map((r) => (r && typeof r === "object" ? { status: "sent", dueDate: null, payments: [], ...r } : r)),
+    settings: { debtBasis: "invoiced", ...db.settings },
+  }),
+  // 8 -> 9: printable invoice template (clients may carry their own overrides)
+  (db) => ({ ...db, meta: { invoiceTemplate: DEFAULT_INVOICE_TEMPLATE, ...db.meta } }),
+  // 9 -> 10: sequential invoice numbering replaces random numbers
+  (db) => ({ ...db, settings: { invoiceNumbering: DEFAULT_NUMBERING, ...db.settings } }),
+  // 10 -> 11: invoice line items (an invoice without lines keeps its single amount)
+  (db) => ({ ...db, invoices: (db.invoices || []).map((r) => (r && typeof r === "object" ? { lines: [], ...r } : r)) }),
+  // 11 -> 12: tax and withholding rule catalog
+  (db) => ({ ...db, meta: { taxRules: DEFAULT_TAX_RULES, ...db.meta } }),
+  // 12 -> 13: adjustments spell out what they were always computed as (USD amounts, compounding percents). They used to
+  // apply in list order; now fixed amounts go before the percents of their stage, so a fixed amount listed after such
+  // percents is divided by their factors to keep the net it had.
+  (db, notes) => {
+    const factor = (a) => 1 + num(a.value) / 100;
+    const spell = (r) => {
+      if (!r || !Array.isArray(r.adjustments)) return r;
+      const listed = r.adjustments.map((a) => (a?.type === "fixed" ? { currency: "USD", ...a } : a?.type === "percent" ? { base: "running", ...a } : a));
+      const stageOf = (a) => STAGE_RANK[a?.stage] ?? 1;
+      const old = listed.map((a, i) => ({ a, i })).sort((x, y) => stageOf(x.a) - stageOf(y.a) || x.i - y.i);
+      const adjustments = [...listed];
+      old.forEach(({ a, i }, k) => {
+        if (a?.type !== "fixed") return;
+        const ahead = old.slice(0, k).filter((x) => x.a?.type === "percent" && stageOf(x.a) === stageOf(a)).reduce((p, x) => p * factor(x.a), 1);
+        if (ahead === 1) return;
+        const label = `${r.invoiceNo ? `Invoice ${r.invoiceNo}` : `Expense ${r.description || r.id}`} "${a.label}"`;
+        if (!ahead) { notes.push(`${label}: follows a -100% adjustment, its net changes now that fixed amounts apply first`); return; }
+        const value = Math.round(num(a.value) / ahead * 10000) / 10000;
+        adjustments[i] = { ...a, value };
+        notes.push(`${label}: ${a.value} USD is now ${value} USD, since fixed amounts apply before percents; the net is unchanged`);
+      });
+      return { ...r, adjustments };
+    };
+    return { ...db, invoices: (db.invoices || []).map(spell), expenses: (db.expenses || []).map(spell) };
+  },
+  // 13 -> 14: imported bank statements for reconciliation
+  (db) => ({ ...db, bankTxns: db.bankTxns || [], settings: { reconcileWindowDays: 7, ...db.settings } }),
+  // 14 -> 15: recurring invoice and expense templates
+  (db) => ({ ...db, recurring: db.recurring || [] }),
+  // 15 -> 16: expense categories with budgets, invoice tags
+  (db) => ({
+    ...db,
+    meta: { categories: DEFAULT_CATEGORIES, ...db.meta },
+    invoices: (db.invoices || []).map((r) => (r && typeof r === "object" ? { tags: [], ...r } : r)),
+    expenses: (db.expenses || []).map((r) => (r && typeof r === "object" ? { categoryId: null, ...r } : r)),
+  }),
+  // 16 -> 17: changelog snapshots no longer keep PIN hashes
+  (db) => ({
+    ...db,
+    changelog: (db.changelog || []).map((e) => (e?.op?.coll === "members" ? { ...e, before: redactSnapshot(e.before), after: redactSnapshot(e.after) } : e)),
+  }),
+  // 17 -> 18: the changelog logs the logo's hash instead of three copies of the image
+  (db) => {
+    const toHash = (o) => (o && "logoDataUrl" in o ? { ...Object.fromEntries(Object.entries(o).filter(([k]) => k !== "logoDataUrl")), logoHash: o.logoDataUrl ? logoHashOf(o.logoDataUrl) : null } : o);
+    return {
+      ...db,
+      meta: { ...db.meta, logoHash: db.meta?.logoDataUrl ? logoHashOf(db.meta.logoDataUrl) : null },
+      changelog: (db.changelog || []).map((e) => (e?.op?.kind === "meta" && "logoDataUrl" in e.op.patch
+        ? { ...e, op: { ...e.op, patch: toHash(e.op.patch) }, before: toHash(e.before), after: toHash(e.after) }
+        : e)),
+    };
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+const num = (v) => { const n = typeof v === "number" ? v : parseFloat(v); return Number.isFinite(n) ? n : 0; };
+
+// Repairs a money row in place of crashing later; returns { row, issues } or { row: null } when unusable
+const repairSplit = (split, memberIds) => {
+  const shares = Object.fromEntries(Object.entries(split.shares).map(([id, v]) => [id, num(v)]));
+  if (split.mode !== "remainder") return { ...split, mode: split.mode === "amount" ? "amount" : "percent", shares };
+  const remainderTo = memberIds.includes(split.remainderTo) ? split.remainderTo : Object.keys(shares)[0] || memberIds[0];
+  return { ...split, shares, remainderTo };
+};
+
+const repairRow = (row, kind, memberIds, codes) => {
+  if (!row || typeof row !== "object") return { row: null, issues: [`Dropped a malformed ${kind} entry`] };
+  const issues = [];
+  const label = `${kind[0].toUpperCase()}${kind.slice(1)} ${row.invoiceNo || row.description || row.id || "(no id)"}`;
+  const r = { ...row };
+  if (!r.id) { r.id = uid(); issues.push(`${label}: missing id, assigned one`); }
+  if (typeof r.date !== "string" || isNaN(Date.parse(r.date))) { r.date = todayISO(); issues.push(`${label}: invalid date, set to today`); }
+  const currency = String(r.currency || "").trim().toUpperCase();
+  if (!codes.includes(currency)) { issues.push(`${label}: no currency, set to USD`); r.currency = "USD"; }
+  else r.currency = currency;
+  if (r.fxBase !== undefined && !codes.includes(r.fxBase)) { issues.push(`${label}: unknown FX base "${r.fxBase}", set to USD`); r.fxBase = "USD"; }
+  if (typeof r.amount !== "number" || !Number.isFinite(r.amount)) { r.amount = num(r.amount); issues.push(`${label}: amount was not a number`); }
+  if (typeof r.fxRate !== "number" || !Number.isFinite(r.fxRate)) r.fxRate = num(r.fxRate);
+  if (kind === "invoice") {
+    if (!INVOICE_STATUSES.includes(r.status)) { issues.push(`${label}: unknown status "${r.status}", set to sent`); r.status = "sent"; }
+    if (r.dueDate && (typeof r.dueDate !== "string" || isNaN(Date.parse(r.dueDate)))) { r.dueDate = null; issues.push(`${label}: invalid due date removed`); }
+    r.payments = (Array.isArray(r.payments) ? r.payments : []).filter((p) => p && typeof p === "object").map((p) => ({
+      ...p,
+      id: p.id || uid(),
+      date: typeof p.date === "string" && !isNaN(Date.parse(p.date)) ? p.date : r.date,
+      amount: num(p.amount),
+      currency: codes.includes(p.currency) ? p.currency : r.currency,
+      fxRate: num(p.fxRate),
+      fxBase: codes.includes(p.fxBase) ? p.fxBase : "USD",
+    }));
+    r.lines = (Array.isArray(r.lines) ? r.lines : []).filter((l) => l && typeof l === "object").map((l) => ({
+      ...l,
+      id: l.id || uid(),
+      description: String(l.description ?? ""),
+      qty: num(l.qty),
+      unitPrice: num(l.unitPrice),
+      ...(l.split && { split: l.split.shares && typeof l.split.shares === "object" ? repairSplit(l.split, memberIds) : equalSplit(memberIds) }),
+    }));
+    if (r.lines.length) r.amount = linesTotal(r.lines);
+    r.tags = [...new Set((Array.isArray(r.tags) ? r.tags : []).map((t) => String(t).trim()).filter(Boolean))];
+  }
+  if (kind === "expense" && typeof r.categoryId !== "string") r.categoryId = null;
+  if (kind === "settlement") {
+    if (!memberIds.includes(r.from) || !memberIds.includes(r.to) || r.from === r.to) return { row: null, issues: [`Dropped ${label}: from/to must be two different members`] };
+    return { row: r, issues };
+  }
+  if (!Array.isArray(r.adjustments)) { r.adjustments = []; issues.push(`${label}: missing adjustments`); }
+  else r.adjustments = r.adjustments.filter((a) => a && (a.type === "percent" || a.type === "fixed")).map((a) => ({
+    ...a,
+    id: a.id || uid(),
+    value: num(a.value),
+    ...(a.type === "fixed" ? { currency: codes.includes(a.currency) ? a.currency : "USD" } : { base: a.base === "gross" ? "gross" : "running" }),
+    ...(a.bearer && a.bearer !== "split" && !memberIds.includes(a.bearer) && { bearer: "split" }),
+  }));
+  if (!r.split || typeof r.split !== "object" || !r.split.shares || typeof r.split.shares !== "object") { r.split = equalSplit(memberIds); issues.push(`${label}: missing split, split equally`); }
+  else r.split = repairSplit(r.split, memberIds);
+  return { row: r, issues };
+};
+
+// Codes rows are denominated in, so a code missing from the registry can be added back instead of rewriting the rows
+const usedCurrencies = (db) => [db.invoices, db.expenses, db.settlements, db.bankTxns]
+  .flatMap((list) => (Array.isArray(list) ? list : []))
+  .filter((r) => r && typeof r === "object")
+  .flatMap((r) => [r, ...(Array.isArray(r.payments) ? r.payments : []), ...(Array.isArray(r.adjustments) ? r.adjustments : [])])
+  .flatMap((x) => [x?.currency, x?.fxBase])
+  .map((c) => (typeof c === "string" ? c.trim().toUpperCase() : ""))
+  .filter(Boolean);
+
+const validateDB = (db) => {
+  const issues = [];
+  const meta = db.meta && typeof db.meta === "object" ? db.meta : {};
+  // a blank name is an editing state, not a reason to drop the record
+  const named = (x, placeholder) => {
+    if (typeof x.name === "string" && x.name.trim()) return x;
+    issues.push(`${placeholder} (${x.id}) had no name`);
+    return { ...x, name: placeholder };
+  };
+  const members = (Array.isArray(meta.members) ? meta.members : []).filter((m) => m && m.id).map((m) => named(m, "Unnamed member"))
+    .map((m) => (m.role === "accountant" || m.role === "member" ? m : { ...m, role: "member" }));
+  if (!members.length) {
+    members.push({ id: "m-debi", name: "Debi", active: true, role: "member" }, { id: "m-bocha", name: "Bocha", active: true, role: "member" });
+    issues.push("No members found, restored Debi & Bocha");
+  }
+  const memberIds = members.map((m) => m.id);
+  const currencies = (Array.isArray(meta.currencies) ? meta.currencies : [])
+    .filter((c) => c && typeof c.code === "string" && c.code)
+    .map((c) => ({ ...c, id: c.code, symbol: c.symbol || `${c.code} `, decimals: Number.isInteger(c.decimals) ? c.decimals : 2, usdRate: num(c.usdRate) }));
+  if (!currencies.some((c) => c.code === "USD")) currencies.unshift(DEFAULT_CURRENCIES[0]);
+  [...new Set(usedCurrencies(db))].filter((code) => !currencies.some((c) => c.code === code)).forEach((code) => {
+    currencies.push({ id: code, code, symbol: `${code} `, decimals: 2, usdRate: 0 });
+    issues.push(`Currency ${code} is used by rows but was missing from the registry: added it without a USD rate`);
+  });
+  const codes = currencies.map((c) => c.code);
+  const rows = (list, kind) => (Array.isArray(list) ? list : []).map((row) => {
+    const res = repairRow(row, kind, memberIds, codes);
+    issues.push(...res.issues);
+    return res.row;
+  }).filter(Boolean);
+  return {
+    db: {
+      ...db,
+      meta: {
+        ...meta,
+        members,
+        currencies,
+        clients: Array.isArray(meta.clients) ? meta.clients.filter((c) => c && c.id) : [],
+        logoDataUrl: meta.logoDataUrl || null,
+        logoHash: meta.logoDataUrl ? meta.logoHash || logoHashOf(meta.logoDataUrl) : null,
+        taxRules: (Array.isArray(meta.taxRules) ? meta.taxRules : []).filter((t) => t && t.id && (t.type === "percent" || t.type === "fixed"))
+          .map((t) => named(t, "Unnamed tax rule")).map((t) => ({ ...t, value: num(t.value), stage: TAX_STAGES.includes(t.stage) ? t.stage : "after", bearer: t.bearer === "split" || memberIds.includes(t.bearer) ? t.bearer : "split" })),
+        categories: repairCategories(meta.categories).map((c) => named(c, "Unnamed category")),
+        invoiceTemplate: { ...DEFAULT_INVOICE_TEMPLATE, ...(meta.invoiceTemplate && typeof meta.invoiceTemplate === "object" ? meta.invoiceTemplate : {}) },
+      },
+      invoices: rows(db.invoices, "invoice"),
+      expenses: rows(db.expenses, "expense"),
+      settlements: rows(db.settlements, "settlement"),
+      fxTable: (Array.isArray(db.fxTable) ? db.fxTable : [])
+        .filter((e) => e && parseDate(e.date) && codes.includes(e.base) && codes.includes(e.quote) && num(e.rate) > 0)
+        .map((e) => ({ ...e, id: e.id || uid(), rate: num(e.rate) })),
+      bankTxns: (Array.isArray(db.bankTxns) ? db.bankTxns : [])
+        .filter((t) => t && t.id && parseDate(t.date) && Number.isFinite(num(t.amount)))
+        .map((t) => ({ ...t, amount: num(t.amount), currency: codes.includes(String(t.currency).toUpperCase()) ? String(t.currency).toUpperCase() : "USD", match: t.match?.coll && t.match?.id ? t.match : null })),
+      recurring: (Array.isArray(db.recurring) ? db.recurring : [])
+        .filter((t) => t && t.id && (t.coll === "invoices" || t.coll === "expenses") && parseDate(t.start) && t.template && typeof t.template === "object")
+        .map((t) => ({ ...t, frequency: RECURRENCE_MONTHS[t.frequency] ? t.frequency : "monthly", day: Math.min(31, Math.max(1, parseInt(t.day, 10) || 1)), fx: t.fx === "fixed" ? "fixed" : "table" })),
+      approvals: (Array.isArray(db.approvals) ? db.approvals : []).filter((a) => a && a.id && a.op),
+      changelog: Array.isArray(db.changelog) ? db.changelog : [],
+      conflicts: Array.isArray(db.conflicts) ? db.conflicts : [],
+    },
+    issues,
+  };
+};
+
+// raw parsed JSON -> { db, issues }; throws when the document cannot be used at all
+const migrateDB = (raw) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Not an Income & Debt Tracker database");
+  const from = raw.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) throw new Error(`Saved by a newer version of the app (schema ${from}, this app knows ${SCHEMA_VERSION})`);
+  let db = raw;
+  const notes = [];
+  for (let v = from; v < SCHEMA_VERSION; v++) db = MIGRATIONS[v](db, notes);
+  const { db: valid, issues } = validateDB(db);
+  return { db: { ...valid, schemaVersion: SCHEMA_VERSION }, issues: [...notes, ...issues] };
+};
+
+// The key keeps its "_v1" suffix for existing installs; the real version is db.schemaVersion
 const STORAGE_KEY = "idtracker_v1";
+/**
+ * An encrypted copy cannot be read synchronously: seed() is only a placeholder until it is unlocked.
+ * -> { db, issues, error }; `error` is set when a stored copy exists but cannot be used, and the app must not save over it.
+ */
 const loadDB = () => {
-  try { const raw = localStorage.getItem(STORAGE_KEY); return raw ? JSON.parse(raw) : seed(); } catch { return seed(); }
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const doc = raw && JSON.parse(raw);
+    return doc && !isEncrypted(doc) ? { ...migrateDB(doc), error: null } : { db: seed(), issues: [], error: null };
+  } catch (e) {
+    return { db: seed(), issues: [], error: e instanceof SyntaxError ? "The stored data is not valid JSON" : e.message };
+  }
+};
+const loadLockedDB = () => {
+  try { const doc = JSON.parse(localStorage.getItem(STORAGE_KEY)); return isEncrypted(doc) ? doc : null; } catch { return null; }
+};
+const saveDB = (db) => localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+
+// ----------------------------- Operations -----------------------------
+/**
+ * Every mutation is stored in the changelog as a replayable operation:
+ *  { kind: "add", coll, row }
+ *  { kind: "addMany", coll, rows }       // bulk imports, one entry
+ *  { kind: "update", coll, id, patch }   // patch holds only the fields that changed
+ *  { kind: "remove", coll, id }
+ *  { kind: "removeMany", coll, ids }    // only produced when reverting an addMany
+ *  { kind: "settings", patch }          // shallow patch of db.settings
+ *  { kind: "meta", patch }              // shallow patch of db.meta scalars (the logo's hash: the image is stored beside it)
+ * coll: "invoices" | "expenses" | "settlements" | "fxTable" | "bankTxns" | "recurring" | "approvals", or "clients" | "members" | "currencies" |
+ *   "taxRules" | "categories", which live in meta.
+ * A changelog entry is { id, ts, user, action, payload: { id }, op, before, after, folded?, revertOf? } where `folded` lists
+ * the ids of earlier entries merged into it (consecutive keystrokes on the same row), so they still count as seen.
+ * before/after snapshot what the op touched (the whole row, or the patched settings keys); entries written before
+ * snapshots existed have none and cannot be reverted. revertOf marks an entry that undid another one.
+ * Secret fields (PIN hashes) are never snapshotted and the logo image is never logged (only its hash), so neither change can
+ * be reverted; setting a new PIN or uploading the old logo again is the way back.
+ */
+const META_COLLS = ["clients", "members", "currencies", "taxRules", "categories"];
+const getColl = (db, coll) => (META_COLLS.includes(coll) ? db.meta[coll] : db[coll]) || [];
+const setColl = (db, coll, rows) => (META_COLLS.includes(coll) ? { ...db, meta: { ...db.meta, [coll]: rows } } : { ...db, [coll]: rows });
+
+const applyOp = (db, op) => {
+  const rows = op.coll ? getColl(db, op.coll) : [];
+  if (op.kind === "add") {
+    if (rows.some((r) => r.id === op.row.id)) return db;
+    return setColl(db, op.coll, META_COLLS.includes(op.coll) ? [...rows, op.row] : [op.row, ...rows]);
+  }
+  if (op.kind === "update") return setColl(db, op.coll, rows.map((r) => r.id === op.id ? { ...r, ...op.patch } : r));
+  if (op.kind === "addMany") {
+    const ids = new Set(rows.map((r) => r.id));
+    const fresh = op.rows.filter((r) => !ids.has(r.id));
+    return setColl(db, op.coll, META_COLLS.includes(op.coll) ? [...rows, ...fresh] : [...fresh, ...rows]);
+  }
+  if (op.kind === "remove") return setColl(db, op.coll, rows.filter((r) => r.id !== op.id));
+  if (op.kind === "removeMany") { const ids = new Set(op.ids); return setColl(db, op.coll, rows.filter((r) => !ids.has(r.id))); }
+  if (op.kind === "settings") return { ...db, settings: { ...db.settings, ...op.patch } };
+  if (op.kind === "meta") return { ...db, meta: { ...db.meta, ...op.patch } };
+  return db;
+};
+
+const SECRET_FIELDS = ["pin"];
+const redactSnapshot = (row) => (row && SECRET_FIELDS.some((k) => row[k])
+  ? { ...row, ...Object.fromEntries(SECRET_FIELDS.filter((k) => row[k]).map((k) => [k, "set"])) }
+  : row);
+const unrevertible = (op) => (op?.kind === "update" && Object.keys(op.patch).every((k) => SECRET_FIELDS.includes(k)))
+  || (op?.kind === "meta" && "logoHash" in op.patch);
+const logoHashOf = (dataUrl) => crc32(new TextEncoder().encode(dataUrl)).toString(16).padStart(8, "0");
+
+// the part of db an op touches: the affected row, or the settings keys it patches
+const snapshotOf = (db, op) => {
+  if (op.kind === "settings") return Object.fromEntries(Object.keys(op.patch).map((k) => [k, db.settings[k] ?? null]));
+  if (op.kind === "meta") return Object.fromEntries(Object.keys(op.patch).map((k) => [k, db.meta[k] ?? null]));
+  if (op.kind === "update" || op.kind === "remove") return redactSnapshot(getColl(db, op.coll).find((r) => r.id === op.id) ?? null);
+  if (op.kind === "add") return redactSnapshot(getColl(db, op.coll).find((r) => r.id === op.row.id) ?? null);
+  return null;
+};
+
+// op that undoes a changelog entry, or null when the entry has no snapshot to go back to
+const inverseOf = (entry) => {
+  const { op, before } = entry;
+  if (!op) return null;
+  if (op.kind === "add") return { kind: "remove", coll: op.coll, id: op.row.id };
+  if (op.kind === "addMany") return { kind: "removeMany", coll: op.coll, ids: op.rows.map((r) => r.id) };
+  if (op.kind === "removeMany") return null;
+  if (!before || unrevertible(op)) return null;
+  if (op.kind === "update") {
+    const keys = Object.keys(op.patch).filter((k) => !SECRET_FIELDS.includes(k));
+    return { kind: "update", coll: op.coll, id: op.id, patch: Object.fromEntries(keys.map((k) => [k, before[k]])) };
+  }
+  if (op.kind === "remove") return { kind: "add", coll: op.coll, row: before };
+  if (op.kind === "settings" || op.kind === "meta") return { kind: op.kind, patch: before };
+  return null;
+};
+
+/**
+ * The ledger as it was at `iso`: walks the changelog back from the current state, undoing every newer entry.
+ * incomplete is true when an entry on the way had no snapshot (written by an older version), so the result
+ * may still contain that change.
+ */
+const ledgerAsOf = (db, iso) => {
+  let out = db;
+  let incomplete = false;
+  [...db.changelog].sort((a, b) => b.ts.localeCompare(a.ts)).filter((e) => e.op && e.ts > iso).forEach((e) => {
+    const inv = inverseOf(e);
+    if (inv) out = applyOp(out, inv); else if (!unrevertible(e.op)) incomplete = true;
+  });
+  return { db: { ...out, changelog: db.changelog.filter((e) => e.ts <= iso) }, incomplete };
+};
+
+const knownIds = (db) => new Set(db.changelog.flatMap((e) => [e.id, ...(e.folded || [])]));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const hasUnseen = (local, remote) => { const known = knownIds(local); return remote.changelog.some((e) => !known.has(e.id)); };
+
+/**
+ * Merge a remote copy (another device, an imported file) into the local DB by replaying the remote ops we
+ * have not seen. A remote update to a field that an unseen local op also changed to a different value is not
+ * applied; it becomes a conflict ({ id, coll, rowId, field, local, remote, user, ts }) kept in db.conflicts
+ * until someone picks a side. Resolution ops (op.resolution) win outright since they were chosen knowing both values.
+ */
+const mergeRemote = (local, remote) => {
+  const localKnown = knownIds(local);
+  const remoteKnown = knownIds(remote);
+  const incoming = remote.changelog.filter((e) => !localKnown.has(e.id));
+  const touched = new Map(); // "coll:id:field" -> latest unseen local value
+  local.changelog.filter((e) => !remoteKnown.has(e.id) && e.op?.kind === "update").reverse()
+    .forEach((e) => Object.entries(e.op.patch).forEach(([field, v]) => touched.set(`${e.op.coll}:${e.op.id}:${field}`, v)));
+
+  let db = local;
+  let conflicts = [];
+  const resolved = new Set();
+  [...incoming].reverse().forEach((e) => { // oldest first
+    const op = e.op;
+    if (!op) return;
+    if (op.kind !== "update") { db = applyOp(db, op); return; }
+    const patch = {};
+    Object.entries(op.patch).forEach(([field, value]) => {
+      const key = `${op.coll}:${op.id}:${field}`;
+      if (op.resolution) {
+        resolved.add(key);
+        conflicts = conflicts.filter((c) => `${c.coll}:${c.rowId}:${c.field}` !== key);
+        patch[field] = value;
+      } else if (touched.has(key) && !sameValue(touched.get(key), value)) {
+        conflicts = [...conflicts.filter((c) => `${c.coll}:${c.rowId}:${c.field}` !== key),
+          { id: uid(), coll: op.coll, rowId: op.id, field, local: touched.get(key), remote: value, user: e.user, ts: e.ts }];
+      } else {
+        patch[field] = value;
+      }
+    });
+    if (Object.keys(patch).length) db = applyOp(db, { ...op, patch });
+  });
+
+  // conflicts are relative to this device ("yours" vs "theirs"), so the remote's own pending list is not taken
+  const pending = (local.conflicts || []).filter((c) => !resolved.has(`${c.coll}:${c.rowId}:${c.field}`));
+  // the logo image is not in the ops: take the remote's when the replayed hash is the remote's
+  if (db.meta.logoHash !== local.meta.logoHash && db.meta.logoHash === remote.meta.logoHash) db = { ...db, meta: { ...db.meta, logoDataUrl: remote.meta.logoDataUrl } };
+  return {
+    db: {
+      ...db,
+      changelog: [...local.changelog, ...incoming].sort((a, b) => b.ts.localeCompare(a.ts)),
+      conflicts: [...pending, ...conflicts],
+    },
+    conflicts,
+  };
+};
+
+// ----------------------------- Data Adapters -----------------------------
+/**
+ * DataAdapter interface (every method is async):
+ *  - load()            -> the stored DB, or null when the backend is still empty
+ *  - save(db)          -> replaces the stored DB
+ *  - applyPatch(patch) -> shallow-merges top-level keys ({ invoices, meta, ... }) into the stored DB; resolves the result
+ * The app works on an in-memory copy and pushes only the keys that changed (see App).
+ */
+const createLocalStorageAdapter = (key = STORAGE_KEY) => {
+  const read = () => { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : null; };
+  const write = (db) => { localStorage.setItem(key, JSON.stringify(db)); return db; };
+  return {
+    kind: "local",
+    label: "This browser",
+    load: async () => read(),
+    save: async (db) => { write(db); },
+    applyPatch: async (patch) => write({ ...(read() || seed()), ...patch }),
+  };
+};
+
+// Generic REST/JSON backend: GET / PUT / PATCH on `${baseUrl}/db` (see scripts/mock-server.js)
+const createRestAdapter = (baseUrl) => {
+  const url = `${baseUrl.replace(/\/+$/, "")}/db`;
+  const request = async (method, body) => {
+    const res = await fetch(url, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`${method} ${url} failed (${res.status})`);
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  };
+  return {
+    kind: "rest",
+    label: baseUrl,
+    load: () => request("GET"),
+    save: async (db) => { await request("PUT", db); },
+    applyPatch: (patch) => request("PATCH", patch),
+  };
+};
+
+// Which backend to use is a per-device choice, so it lives outside the DB itself
+const ADAPTER_KEY = "idtracker_adapter";
+const loadAdapterConfig = () => {
+  try { return JSON.parse(localStorage.getItem(ADAPTER_KEY)) || { kind: "local", url: "" }; } catch { return { kind: "local", url: "" }; }
+};
+const saveAdapterConfig = (cfg) => localStorage.setItem(ADAPTER_KEY, JSON.stringify(cfg));
+const createAdapter = (cfg) => (cfg.kind === "rest" && cfg.url ? createRestAdapter(cfg.url) : createLocalStorageAdapter());
+
+// ----------------------------- Currencies -----------------------------
+/**
+ * Amounts are computed in USD internally; `rates` ({ [code]: units per 1 USD }, from the registry) convert a row's
+ * FX base to USD, and the reporting currency is applied only when presenting totals, the chart and the tables.
+ */
+const DEFAULT_CURRENCIES = [
+  { id: "USD", code: "USD", symbol: "US$", decimals: 2, usdRate: 1 },
+  { id: "ARS", code: "ARS", symbol: "AR$", decimals: 2, usdRate: 1000 },
+  { id: "EUR", code: "EUR", symbol: "€", decimals: 2, usdRate: 0.92 },
+  { id: "BRL", code: "BRL", symbol: "R$", decimals: 2, usdRate: 5.4 },
+];
+const fxRates = (db) => Object.fromEntries(db.meta.currencies.map((c) => [c.code, c.usdRate]));
+
+// Formatting helpers for the reporting currency: fmt/fromUsd take USD amounts
+const reportingMoney = (db) => {
+  const rates = fxRates(db);
+  const wanted = db.meta.currencies.find((c) => c.code === db.settings.reportingCurrency);
+  const cur = wanted && (wanted.code === "USD" || wanted.usdRate > 0) ? wanted : db.meta.currencies.find((c) => c.code === "USD");
+  const fromUsd = (usd) => (cur.code === "USD" ? usd : usd * cur.usdRate);
+  return { cur, rates, fromUsd, fmt: (usd) => fmtMoney(fromUsd(usd), cur) };
+};
+
+// ----------------------------- FX Table -----------------------------
+// Latest table rate (quote per 1 base) on or before `date` from `source`; falls back to the inverse pair
+const lookupRate = (table, { date, base, quote, source }) => {
+  let best = null;
+  table.forEach((e) => {
+    if (e.source !== source || e.date > date) return;
+    const rate = e.base === base && e.quote === quote ? e.rate : e.base === quote && e.quote === base ? 1 / e.rate : null;
+    if (rate && (!best || e.date > best.date)) best = { rate, date: e.date, source };
+  });
+  return best;
+};
+const rowFxSource = (db, row) => row.fxSource || db.settings.defaultFxSource;
+const tableRateFor = (db, row) => (row.currency === (row.fxBase || "USD") ? null
+  : lookupRate(db.fxTable, { date: row.date, base: row.fxBase || "USD", quote: row.currency, source: rowFxSource(db, row) }));
+
+// "missing": needs a rate but has none; "deviates": off the table by more than settings.fxDeviationPct
+const fxStatus = (db, row) => {
+  if (row.currency === (row.fxBase || "USD")) return { status: "ok", table: null };
+  const table = tableRateFor(db, row);
+  if (!row.fxRate) return { status: "missing", table };
+  if (table && Math.abs(row.fxRate / table.rate - 1) * 100 > (db.settings.fxDeviationPct ?? 10)) return { status: "deviates", table };
+  return { status: "ok", table };
+};
+
+// Rows of "date,base,quote,rate,source" (header required; base defaults to USD, source to the default source)
+const fxRowsFromCSV = (text, db) => {
+  const [header, ...lines] = parseCSV(text);
+  if (!header) return { rows: [], errors: ["Empty file"] };
+  const col = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  if (col.date === undefined || col.rate === undefined || (col.quote === undefined && col.currency === undefined)) {
+    return { rows: [], errors: ["Expected columns: date, base, quote, rate, source"] };
+  }
+  const codes = db.meta.currencies.map((c) => c.code);
+  const rows = [], errors = [];
+  lines.forEach((l, i) => {
+    const date = parseDate(l[col.date]);
+    const base = (col.base !== undefined ? l[col.base] : "USD").trim().toUpperCase() || "USD";
+    const quote = String(l[col.quote ?? col.currency] ?? "").trim().toUpperCase();
+    const rate = parseNumber(l[col.rate]);
+    const source = (col.source !== undefined && l[col.source]?.trim()) || db.settings.defaultFxSource;
+    if (!date || !codes.includes(base) || !codes.includes(quote) || !(rate > 0)) { errors.push(`Line ${i + 2}: skipped`); return; }
+    rows.push({ id: uid(), date, base, quote, rate, source });
+  });
+  return { rows, errors };
+};
+
+// Split helper -> returns { [memberId]: usd }
+const applySplit = (split, net) => {
+  const out = Object.fromEntries(Object.entries(split.shares || {}).map(([id, v]) => [id, split.mode === "percent" ? net * (v ?? 0) / 100 : (v ?? 0)]));
+  if (split.mode === "remainder" && split.remainderTo) {
+    delete out[split.remainderTo];
+    out[split.remainderTo] = net - Object.values(out).reduce((a, v) => a + v, 0);
+  }
+  return out;
+};
+
+// null when the split shares out exactly `net` (USD), else what is wrong with it
+const SPLIT_TOLERANCE = 0.01;
+const splitIssue = (split, net) => {
+  const values = Object.values(split.shares || {});
+  if (split.mode === "percent") {
+    const pct = values.reduce((a, v) => a + (v || 0), 0);
+    return Math.abs(pct - 100) > SPLIT_TOLERANCE ? `shares add up to ${+pct.toFixed(2)}%, not 100%` : null;
+  }
+  if (split.mode === "remainder") {
+    if (!split.remainderTo) return "nobody takes the remainder";
+    const rest = applySplit(split, net)[split.remainderTo];
+    return rest < -SPLIT_TOLERANCE ? `fixed shares exceed the net by ${fmtMoney(-rest, DEFAULT_CURRENCIES[0])}` : null;
+  }
+  const sum = values.reduce((a, v) => a + (v || 0), 0);
+  return Math.abs(sum - net) > SPLIT_TOLERANCE ? `amounts add up to ${fmtMoney(sum, DEFAULT_CURRENCIES[0])}, net is ${fmtMoney(net, DEFAULT_CURRENCIES[0])}` : null;
+};
+
+/**
+ * What each split shares out: the row split gets the net left after member-borne adjustments and lines with their
+ * own split; those lines share their part of it (adjustments scale every line alike). -> { borne, parts: [{ split, net, line? }] }
+ */
+const splitParts = (row, rates) => {
+  const { gross, steps, net } = adjustmentSteps(row, rates);
+  const borne = steps.filter((s) => s.adj.bearer && s.adj.bearer !== "split");
+  const shared = net - borne.reduce((a, s) => a + s.delta, 0);
+  const factor = gross ? shared / gross : 0;
+  const lines = (row.lines || []).filter((l) => l.split).map((l) => ({ split: l.split, net: unitUsdOf(row, rates) * lineTotal(l) * factor, line: l }));
+  return { borne, parts: [{ split: row.split, net: shared - lines.reduce((a, p) => a + p.net, 0) }, ...lines] };
+};
+// An adjustment with a member as bearer is charged to that member alone instead of being shared.
+const splitUsd = (row, rates) => {
+  const { borne, parts } = splitParts(row, rates);
+  const out = {};
+  parts.forEach((p) => Object.entries(applySplit(p.split, p.net)).forEach(([id, usd]) => { out[id] = (out[id] || 0) + usd; }));
+  borne.forEach((s) => { out[s.adj.bearer] = (out[s.adj.bearer] || 0) + s.delta; });
+  return out;
+};
+const splitIssues = (row, rates) => splitParts(row, rates).parts
+  .map((p) => { const issue = splitIssue(p.split, p.net); return issue && (p.line ? `line "${p.line.description || "untitled"}": ${issue}` : issue); })
+  .filter(Boolean);
+
+// Rows (void invoices aside) whose split doesn't reconcile with their net
+const unbalancedSplits = (db, rates) => [
+  ...db.invoices.filter((r) => r.status !== "void").map((r) => ({ coll: "invoices", row: r })),
+  ...db.expenses.map((r) => ({ coll: "expenses", row: r })),
+].map((x) => ({ ...x, issues: splitIssues(x.row, rates) })).filter((x) => x.issues.length);
+
+// ----------------------------- Invoice Status -----------------------------
+/**
+ * invoice.status is what the user sets (draft, sent, void). Each client payment has its own FX rate, so a peso
+ * invoice collected weeks later is valued at the rate of the day the money arrived. The displayed status
+ * becomes "partial"/"paid" from the payments; an unpaid, sent invoice past its dueDate is overdue.
+ */
+const INVOICE_STATUSES = ["draft", "sent", "void"];
+const STATUS_LABELS = { draft: "Draft", sent: "Sent", partial: "Partially paid", paid: "Paid", void: "Void" };
+const paidUsdOf = (inv, rates) => (inv.payments || []).reduce((a, p) => a + usdOf(p, rates), 0);
+
+const invoiceState = (inv, rates, today = todayISO()) => {
+  if (inv.status === "void") return { status: "void", paidUsd: 0, dueUsd: 0, overdue: false };
+  // progress is measured at the invoice's own rate, so FX moves between billing and payment leave no residue
+  const unit = unitUsdOf(inv, rates);
+  const covered = (inv.payments || []).reduce((a, p) => a + (p.currency === inv.currency ? p.amount * unit : usdOf(p, rates)), 0);
+  const dueUsd = Math.max(0, netUsdOf(inv, rates) - covered);
+  const paidUsd = paidUsdOf(inv, rates);
+  const status = covered > 0 ? (dueUsd < 0.005 ? "paid" : "partial") : inv.status || "sent";
+  return { status, paidUsd, dueUsd, overdue: status !== "paid" && status !== "draft" && !!inv.dueDate && inv.dueDate < today };
+};
+
+// Drafts have not been sent and void invoices never will be: neither is income yet
+const countsAsIncome = (inv) => inv.status !== "void" && inv.status !== "draft";
+
+// Each member's share of an invoice under the debt basis: drafts and void count for nothing, and "collected"
+// scales the split by what has actually been paid (which can exceed the invoiced USD if the rate moved)
+const incomeShares = (inv, rates, basis = "invoiced") => {
+  if (!countsAsIncome(inv)) return {};
+  const split = splitUsd(inv, rates);
+  if (basis !== "collected") return split;
+  const net = netUsdOf(inv, rates);
+  const ratio = net > 0 ? paidUsdOf(inv, rates) / net : 0;
+  return Object.fromEntries(Object.entries(split).map(([id, usd]) => [id, usd * ratio]));
+};
+const incomeUsdOf = (inv, rates, basis = "invoiced") => (!countsAsIncome(inv) ? 0 : basis === "collected" ? paidUsdOf(inv, rates) : netUsdOf(inv, rates));
+
+// Accounts receivable aging: outstanding balance of every sent/partially paid invoice, bucketed by days past due
+// (invoices without a due date age from their issue date). Drafts, void and paid invoices are left out.
+const AGING_BUCKETS = [
+  { id: "current", label: "Current", max: 0 },
+  { id: "d30", label: "1–30", max: 30 },
+  { id: "d60", label: "31–60", max: 60 },
+  { id: "d90", label: "61–90", max: 90 },
+  { id: "d90plus", label: "90+", max: Infinity },
+];
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+const agingReport = (db, rates, today = todayISO()) => {
+  const byClient = new Map();
+  db.invoices.forEach((inv) => {
+    const state = invoiceState(inv, rates, today);
+    if (state.status === "draft" || state.status === "void" || state.dueUsd < 0.005) return;
+    const daysLate = daysBetween(inv.dueDate || inv.date, today);
+    const bucket = AGING_BUCKETS.find((b) => daysLate <= b.max).id;
+    const client = byClient.get(inv.clientId) || { clientId: inv.clientId, total: 0, buckets: {}, invoices: [] };
+    client.total += state.dueUsd;
+    client.buckets[bucket] = (client.buckets[bucket] || 0) + state.dueUsd;
+    client.invoices.push({ inv, dueUsd: state.dueUsd, daysLate, bucket });
+    byClient.set(inv.clientId, client);
+  });
+  const clients = [...byClient.values()].sort((a, b) => b.total - a.total);
+  clients.forEach((c) => c.invoices.sort((a, b) => b.daysLate - a.daysLate));
+  const totals = { total: clients.reduce((a, c) => a + c.total, 0), buckets: Object.fromEntries(AGING_BUCKETS.map((b) => [b.id, clients.reduce((a, c) => a + (c.buckets[b.id] || 0), 0)])) };
+  return { clients, totals };
+};
+
+// ----------------------------- Invoice Numbering -----------------------------
+/**
+ * settings.invoiceNumbering = { prefix, perYear, padding, next }. Numbers look like INV-1001, or INV-2026-0001 when
+ * perYear is on (the count restarts every year). `next` is only a floor: the number handed out is the larger of it
+ * and one past the highest number already used, so nothing is stored per invoice and deleting the latest one
+ * frees its number instead of leaving a gap. Two devices numbering offline can still collide; the table flags that.
+ */
+const DEFAULT_NUMBERING = { prefix: "INV-", perYear: false, padding: 4, next: 1001 };
+
+const nextInvoiceNo = (db, date = todayISO()) => {
+  const { prefix, perYear, padding, next } = { ...DEFAULT_NUMBERING, ...db.settings.invoiceNumbering };
+  const head = `${prefix}${perYear ? `${date.slice(0, 4)}-` : ""}`;
+  const used = db.invoices
+    .map((r) => String(r.invoiceNo || ""))
+    .filter((no) => no.startsWith(head) && /^\d+$/.test(no.slice(head.length)))
+    .map((no) => parseInt(no.slice(head.length), 10));
+  const n = Math.max(perYear ? 1 : next, ...used.map((u) => u + 1));
+  return `${head}${String(n).padStart(padding, "0")}`;
+};
+
+const invoiceNoKey = (no) => String(no || "").trim().toUpperCase();
+// invoice numbers used by more than one row
+const duplicateInvoiceNos = (db) => {
+  const seen = new Map();
+  db.invoices.forEach((r) => { const k = invoiceNoKey(r.invoiceNo); if (k) seen.set(k, (seen.get(k) || 0) + 1); });
+  return new Set([...seen].filter(([, n]) => n > 1).map(([k]) => k));
+};
+
+// ----------------------------- Invoice Documents -----------------------------
+const DEFAULT_INVOICE_TEMPLATE = {
+  title: "Invoice",
+  issuer: "Debi & Bocha",
+  paymentInstructions: "",
+  footer: "Thank you for your business.",
+  accent: "#059669",
+};
+const TEMPLATE_FIELDS = [
+  { key: "title", label: "Title" },
+  { key: "issuer", label: "From (name, address, tax id)", multiline: true },
+  { key: "billTo", label: "Bill to (client address)", multiline: true, clientOnly: true },
+  { key: "paymentInstructions", label: "Payment instructions", multiline: true },
+  { key: "footer", label: "Footer" },
+  { key: "accent", label: "Accent color" },
+];
+
+// client overrides win field by field; blank overrides fall back to the default
+const templateFor = (db, clientId) => {
+  const own = db.meta.clients.find((c) => c.id === clientId)?.template || {};
+  return { ...db.meta.invoiceTemplate, ...Object.fromEntries(Object.entries(own).filter(([, v]) => v !== "" && v != null)) };
+};
+
+const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+const htmlLines = (v) => escapeHtml(v).replace(/\n/g, "<br>");
+
+// Billable lines of an invoice in its own currency
+const invoiceLines = (inv, db) => (inv.lines?.length
+  ? inv.lines.map((l) => ({ description: l.description, qty: l.qty, unitPrice: l.unitPrice, total: lineTotal(l) }))
+  : [{ description: inv.notes || `Services for ${db.meta.clients.find((c) => c.id === inv.clientId)?.name || "client"}`, qty: 1, unitPrice: inv.amount, total: inv.amount }]);
+
+const invoiceDocument = (db, inv, rates) => {
+  const tpl = templateFor(db, inv.clientId);
+  const cur = db.meta.currencies.find((c) => c.code === inv.currency) || DEFAULT_CURRENCIES[0];
+  const fmt = (n) => escapeHtml(fmtMoney(n, cur));
+  const client = db.meta.clients.find((c) => c.id === inv.clientId);
+  const totals = invoiceTotals(inv, rates);
+  const lines = invoiceLines(inv, db);
+  const accent = /^#[0-9a-f]{3,8}$/i.test(tpl.accent || "") ? tpl.accent : DEFAULT_INVOICE_TEMPLATE.accent;
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(tpl.title)} ${escapeHtml(inv.invoiceNo)}</title>
+<style>
+  body { font: 14px/1.45 system-ui, sans-serif; color: #111; margin: 40px; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid ${accent}; padding-bottom: 16px; }
+  h1 { margin: 0; color: ${accent}; font-size: 28px; }
+  .logo { max-height: 60px; max-width: 360px; }
+  .meta { text-align: right; }
+  .parties { display: flex; gap: 48px; margin: 24px 0; }
+  .label { color: #666; font-size: 12px; text-transform: uppercase; letter-spacing: .04em; }
+  table { width: 100%; border-collapse: collapse; }
+  th { text-align: left; color: #666; font-weight: 500; border-bottom: 1px solid #ddd; padding: 6px 4px; }
+  td { padding: 6px 4px; border-bottom: 1px solid #f0f0f0; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { margin-left: auto; width: 320px; margin-top: 16px; }
+  .totals td { border: none; }
+  .grand td { border-top: 2px solid ${accent}; font-weight: 600; font-size: 16px; }
+  .pay { margin-top: 32px; padding: 12px 16px; background: #f7f7f7; border-radius: 8px; }
+  footer { margin-top: 32px; color: #666; font-size: 12px; }
+  @media print { body { margin: 0; } }
+</style></head>
+<body>
+<header>
+  <div>${db.meta.logoDataUrl ? `<img class="logo" src="${escapeHtml(db.meta.logoDataUrl)}" alt="">` : ""}<h1>${escapeHtml(tpl.title)}</h1></div>
+  <div class="meta">
+    <div><span class="label">No.</span> ${escapeHtml(inv.invoiceNo)}</div>
+    <div><span class="label">Date</span> ${escapeHtml(inv.date)}</div>
+    ${inv.dueDate ? `<div><span class="label">Due</span> ${escapeHtml(inv.dueDate)}</div>` : ""}
+  </div>
+</header>
+<div class="parties">
+  <div><div class="label">From</div>${htmlLines(tpl.issuer)}</div>
+  <div><div class="label">Bill to</div><strong>${escapeHtml(client?.name || "")}</strong>${tpl.billTo ? `<br>${htmlLines(tpl.billTo)}` : ""}</div>
+</div>
+<table>
+  <thead><tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+  <tbody>${lines.map((l) => `<tr><td>${htmlLines(l.description)}</td><td class="num">${l.qty}</td><td class="num">${fmt(l.unitPrice)}</td><td class="num">${fmt(l.total)}</td></tr>`).join("")}</tbody>
+</table>
+<table class="totals">
+  <tr><td>Subtotal</td><td class="num">${fmt(totals.subtotal)}</td></tr>
+  ${totals.adjustments.map((a) => `<tr><td>${escapeHtml(a.label)}</td><td class="num">${fmt(a.amount)}</td></tr>`).join("")}
+  <tr class="grand"><td>Total ${escapeHtml(cur.code)}</td><td class="num">${fmt(totals.total)}</td></tr>
+</table>
+${tpl.paymentInstructions ? `<div class="pay"><div class="label">Payment instructions</div>${htmlLines(tpl.paymentInstructions)}</div>` : ""}
+${tpl.footer ? `<footer>${htmlLines(tpl.footer)}</footer>` : ""}
+<script>window.onload = () => window.print();</script>
+</body></html>`;
+};
+
+// Opens the invoice in a new tab; the browser's print dialog saves it as PDF
+const printInvoice = (html) => {
+  const w = window.open("", "_blank");
+  if (!w) { alert("Allow pop-ups for this page to print invoices."); return; }
+  w.document.write(html);
+  w.document.close();
+};
+
+// ----------------------------- Taxes -----------------------------
+const TAX_KINDS = ["tax", "withholding", "fee"];
+const TAX_STAGES = ["before", "after"];
+const DEFAULT_TAX_RULES = [
+  { id: "tr-iva", name: "IVA", kind: "tax", type: "percent", value: 21, stage: "after", bearer: "split" },
+  { id: "tr-iibb", name: "IIBB withholding", kind: "withholding", type: "percent", value: -3, stage: "before", bearer: "split" },
+  { id: "tr-bank", name: "Bank fee", kind: "fee", type: "percent", value: -1.2, stage: "after", bearer: "split" },
+];
+
+// row adjustment copied from a catalog rule; percents compound on what the earlier stages left, fixed fees are USD
+const adjustmentFromRule = (rule) => ({
+  id: uid(), ruleId: rule.id, label: rule.name, type: rule.type, value: rule.value, stage: rule.stage, bearer: rule.bearer,
+  ...(rule.type === "percent" ? { base: "running" } : { currency: "USD" }),
+});
+
+const periodKey = (date, period) => {
+  if (period === "year") return date.slice(0, 4);
+  if (period === "quarter") return `${date.slice(0, 4)}-Q${Math.floor((parseInt(date.slice(5, 7), 10) - 1) / 3) + 1}`;
+  return date.slice(0, 7);
+};
+
+/**
+ * Sum of each rule's effect (USD) per period over invoices (not draft or void) and expenses that pass `include`.
+ * Adjustments typed by hand are grouped under "adhoc". -> { periods, rules: [{ id, name, kind, byPeriod, total, base }] }
+ * where base is the gross amount of the rows the rule was applied to.
+ */
+const taxReport = (db, rates, { period = "month", include = () => true } = {}) => {
+  const groups = new Map();
+  const periods = new Set();
+  const visit = (row, source) => {
+    if (!include(row) || (source === "income" && !countsAsIncome(row))) return;
+    const key = periodKey(row.date, period);
+    const { gross, steps } = adjustmentSteps(row, rates);
+    const counted = new Set();
+    steps.forEach(({ adj, delta }) => {
+      const rule = adj.ruleId && db.meta.taxRules.find((t) => t.id === adj.ruleId);
+      const id = rule ? rule.id : adj.ruleId ? `gone:${adj.ruleId}` : "adhoc";
+      const g = groups.get(id) || { id, name: rule?.name || (adj.ruleId ? `${adj.label} (removed rule)` : "Ad hoc adjustments"), kind: rule?.kind || "", byPeriod: {}, total: 0, base: 0 };
+      g.byPeriod[key] = (g.byPeriod[key] || 0) + delta;
+      g.total += delta;
+      if (!counted.has(id)) g.base += gross;
+      counted.add(id);
+      groups.set(id, g);
+      periods.add(key);
+    });
+  };
+  db.invoices.forEach((r) => visit(r, "income"));
+  db.expenses.forEach((r) => visit(r, "expense"));
+  return { periods: [...periods].sort(), rules: [...groups.values()].sort((a, b) => (a.id === "adhoc") - (b.id === "adhoc") || a.name.localeCompare(b.name)) };
+};
+
+// ----------------------------- Members & Balances -----------------------------
+const memberName = (db, id) => db.meta.members.find((m) => m.id === id)?.name ?? id;
+const activeMembers = (db) => db.meta.members.filter((m) => m.active !== false);
+const MEMBER_COLORS = ["text-indigo-600", "text-emerald-600", "text-amber-600", "text-rose-600", "text-sky-600", "text-fuchsia-600"];
+const memberColor = (db, id) => MEMBER_COLORS[Math.max(0, db.meta.members.findIndex((m) => m.id === id)) % MEMBER_COLORS.length];
+
+// Equal percent split; the last member takes the rounding remainder so shares add up to 100
+const equalSplit = (ids) => {
+  const each = Math.floor(10000 / Math.max(1, ids.length)) / 100;
+  return { mode: "percent", shares: Object.fromEntries(ids.map((id, i) => [id, i === ids.length - 1 ? Math.round((100 - each * i) * 100) / 100 : each])) };
+};
+
+// Debt convention (pairwise, USD):
+//  - INCOME: creator collects everything; therefore creator owes every other member their share.
+//  - EXPENSE: paidBy paid upfront; therefore every other member owes the payer their share.
+//  - SETTLEMENT: money went from -> to; therefore `to` now owes `from` that amount (cancelling earlier debt).
+// Each helper returns obligations [{ debtor, creditor, usd }].
+const obligationsIncome = (inv, rates, basis) => Object.entries(incomeShares(inv, rates, basis))
+  .filter(([id]) => id !== inv.createdBy).map(([id, usd]) => ({ debtor: inv.createdBy, creditor: id, usd }));
+const obligationsExpense = (exp, rates) => Object.entries(splitUsd(exp, rates))
+  .filter(([id]) => id !== exp.paidBy).map(([id, usd]) => ({ debtor: id, creditor: exp.paidBy, usd }));
+const obligationsSettlement = (s, rates) => [{ debtor: s.to, creditor: s.from, usd: usdOf(s, rates) }];
+
+// Pairwise matrix, netted per pair: matrix[a][b] > 0 means a owes b (and matrix[b][a] is its negative)
+const balanceMatrix = (db) => {
+  const matrix = {};
+  const rates = fxRates(db);
+  const add = ({ debtor, creditor, usd }) => {
+    if (!usd || debtor === creditor) return;
+    matrix[debtor] = { ...matrix[debtor], [creditor]: (matrix[debtor]?.[creditor] || 0) + usd };
+    matrix[creditor] = { ...matrix[creditor], [debtor]: (matrix[creditor]?.[debtor] || 0) - usd };
+  };
+  db.invoices.forEach((r) => obligationsIncome(r, rates, db.settings.debtBasis).forEach(add));
+  db.expenses.forEach((r) => obligationsExpense(r, rates).forEach(add));
+  db.settlements.forEach((r) => obligationsSettlement(r, rates).forEach(add));
+  return matrix;
+};
+
+// Net position per member: > 0 is owed money, < 0 owes money
+const netBalances = (matrix, ids) => Object.fromEntries(ids.map((id) => [id, ids.reduce((acc, other) => acc + (matrix[other]?.[id] || 0), 0)]));
+
+// Greedy "who pays whom": the largest debtor pays the largest creditor until everyone is even (at most n-1 transfers)
+const minimalTransfers = (net) => {
+  const EPS = 0.005;
+  const debtors = Object.entries(net).filter(([, v]) => v < -EPS).map(([id, v]) => ({ id, left: -v })).sort((a, b) => b.left - a.left);
+  const creditors = Object.entries(net).filter(([, v]) => v > EPS).map(([id, v]) => ({ id, left: v })).sort((a, b) => b.left - a.left);
+  const transfers = [];
+  let i = 0, j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const usd = Math.min(debtors[i].left, creditors[j].left);
+    transfers.push({ from: debtors[i].id, to: creditors[j].id, usd });
+    debtors[i].left -= usd;
+    creditors[j].left -= usd;
+    if (debtors[i].left < EPS) i++;
+    if (creditors[j].left < EPS) j++;
+  }
+  return transfers;
+};
+
+// ----------------------------- CSV Import -----------------------------
+// Target fields per collection; `aliases` are header words (English and Spanish) used to guess the mapping
+const IMPORT_FIELDS = {
+  invoices: [
+    { key: "date", label: "Date", required: true, aliases: ["date", "fecha"] },
+    { key: "invoiceNo", label: "Invoice #", aliases: ["invoice", "number", "nro", "numero", "factura", "comprobante"] },
+    { key: "client", label: "Client", aliases: ["client", "cliente", "customer", "razon social"] },
+    { key: "amount", label: "Amount", required: true, aliases: ["amount", "importe", "monto", "total"] },
+    { key: "currency", label: "Currency", aliases: ["currency", "moneda"] },
+    { key: "fxRate", label: "FX rate", aliases: ["rate", "fx", "cambio", "cotizacion"] },
+    { key: "status", label: "Status", aliases: ["status", "estado"] },
+    { key: "dueDate", label: "Due date", aliases: ["due", "vencimiento"] },
+    { key: "notes", label: "Notes", aliases: ["notes", "notas", "observaciones", "description", "detalle"] },
+  ],
+  expenses: [
+    { key: "date", label: "Date", required: true, aliases: ["date", "fecha"] },
+    { key: "description", label: "Description", required: true, aliases: ["description", "descripcion", "concept", "concepto", "detalle"] },
+    { key: "amount", label: "Amount", required: true, aliases: ["amount", "importe", "monto", "total", "debit", "debito"] },
+    { key: "currency", label: "Currency", aliases: ["currency", "moneda"] },
+    { key: "fxRate", label: "FX rate", aliases: ["rate", "fx", "cambio", "cotizacion"] },
+    { key: "paidBy", label: "Paid by", aliases: ["paid", "pagado", "pago", "member", "socio"] },
+    { key: "category", label: "Category", aliases: ["category", "categoria", "rubro"] },
+  ],
+};
+
+const normalizeHeader = (h) => String(h).trim().toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+// { [fieldKey]: columnIndex } from the header row (-1 = not mapped); each column is used at most once
+const guessMapping = (header, coll) => {
+  const cols = header.map(normalizeHeader);
+  const taken = new Set();
+  return Object.fromEntries(IMPORT_FIELDS[coll].map((f) => {
+    const i = cols.findIndex((c, i) => !taken.has(i) && f.aliases.some((a) => c.includes(a)));
+    if (i >= 0) taken.add(i);
+    return [f.key, i];
+  }));
+};
+
+// "dmy" unless some value only makes sense month-first
+const detectDateOrder = (values) => (values.some((v) => {
+  const m = String(v).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{4}$/);
+  return m && +m[2] > 12 && +m[1] <= 12;
+}) ? "mdy" : "dmy");
+// "comma" for Argentine 1.234,56; "dot" for 1,234.56. A lone "1.234" is read the Argentine way unless the column says otherwise
+const detectDecimal = (values) => {
+  const t = values.map((v) => String(v).trim());
+  if (t.some((v) => /,\d{1,2}$/.test(v) || /\.\d{3}\./.test(v))) return "comma";
+  if (t.some((v) => /\.\d{1,2}$/.test(v) || /,\d{3},/.test(v) || /,\d{3}\.\d/.test(v))) return "dot";
+  return "comma";
+};
+const parseNumberAs = (v, decimal) => {
+  const t = String(v ?? "").trim().replace(/[^\d.,-]/g, "");
+  if (!t) return NaN;
+  return parseFloat(decimal === "comma" ? t.replace(/\./g, "").replace(",", ".") : t.replace(/,/g, ""));
+};
+
+const csvDuplicateKey = (coll, r) => (coll === "invoices"
+  ? `${r.date}|${r.clientId}|${r.currency}|${r.amount}`
+  : `${r.date}|${normalizeHeader(r.description)}|${r.currency}|${r.amount}`);
+
+/**
+ * Turns CSV records into rows for `coll` using `mapping` (field -> column index) and `opts`
+ * ({ dateOrder, decimal, currency, user }). -> [{ line, row, errors, duplicate }]; rows with errors are not imported.
+ * Duplicates are matched against existing rows (invoice number, or date + amount + client/description) and within the file.
+ */
+const csvImportPreview = (db, coll, records, mapping, opts) => {
+  const codes = db.meta.currencies.map((c) => c.code);
+  const byName = (list, name) => list.find((x) => normalizeHeader(x.name) === normalizeHeader(name));
+  const seenNos = new Set(db.invoices.map((r) => invoiceNoKey(r.invoiceNo)).filter(Boolean));
+  const seenKeys = new Set(db[coll].map((r) => csvDuplicateKey(coll, r)));
+  const split = equalSplit(activeMembers(db).map((m) => m.id));
+  let numbering = db;
+  return records.map((rec, i) => {
+    const cell = (key) => (mapping[key] >= 0 ? String(rec[mapping[key]] ?? "").trim() : "");
+    const errors = [];
+    const date = parseDate(cell("date"), opts.dateOrder);
+    if (!date) errors.push(`bad date "${cell("date")}"`);
+    const amount = parseNumberAs(cell("amount"), opts.decimal);
+    if (!Number.isFinite(amount)) errors.push(`bad amount "${cell("amount")}"`);
+    else if (amount < 0) errors.push(`negative amount "${cell("amount")}"`);
+    const currency = (cell("currency") || opts.currency).toUpperCase();
+    if (!codes.includes(currency)) errors.push(`unknown currency ${currency}`);
+    const base = { id: uid(), date: date || "", currency, amount: Number.isFinite(amount) ? amount : 0, adjustments: [], split };
+    // no rate in the file: take the FX table's for that day, as a new row would
+    const rate = parseNumberAs(cell("fxRate"), opts.decimal);
+    const fxRate = currency === "USD" ? 0 : rate > 0 ? rate : (date && tableRateFor(db, base)?.rate) || 0;
+    let row;
+    if (coll === "invoices") {
+      const client = cell("client") ? byName(db.meta.clients, cell("client")) : db.meta.clients[0];
+      if (!client) errors.push(cell("client") ? `unknown client "${cell("client")}"` : "no client");
+      const status = cell("status").toLowerCase();
+      const dueDate = cell("dueDate") ? parseDate(cell("dueDate"), opts.dateOrder) : null;
+      if (cell("dueDate") && !dueDate) errors.push(`bad due date "${cell("dueDate")}"`);
+      row = {
+        ...base, fxRate, clientId: client?.id || "", invoiceNo: cell("invoiceNo") || nextInvoiceNo(numbering, date || undefined),
+        createdBy: opts.user, status: INVOICE_STATUSES.includes(status) ? status : "sent", dueDate, payments: [], lines: [], tags: [], notes: cell("notes"),
+      };
+    } else {
+      const payer = cell("paidBy") ? byName(db.meta.members, cell("paidBy")) : db.meta.members.find((m) => m.id === opts.user);
+      if (!payer) errors.push(`unknown member "${cell("paidBy")}"`);
+      if (!cell("description")) errors.push("no description");
+      const category = cell("category") ? byName(db.meta.categories, cell("category")) : null;
+      if (cell("category") && !category) errors.push(`unknown category "${cell("category")}"`);
+      row = { ...base, fxRate, description: cell("description"), paidBy: payer?.id || "", categoryId: category?.id || null };
+    }
+    // the same permission rules the import will be committed under, so one foreign row cannot sink the batch
+    const check = errors.length ? { ok: true } : checkOp(db, opts.user, { kind: "add", coll, row });
+    if (!check.ok) errors.push(check.reason);
+    const key = csvDuplicateKey(coll, row);
+    const duplicate = (coll === "invoices" && seenNos.has(invoiceNoKey(row.invoiceNo))) || seenKeys.has(key);
+    if (!errors.length) {
+      seenKeys.add(key);
+      if (coll === "invoices") { seenNos.add(invoiceNoKey(row.invoiceNo)); numbering = { ...numbering, invoices: [row, ...numbering.invoices] }; }
+    }
+    return { line: i + 2, row, errors, duplicate };
+  });
+};
+
+// ----------------------------- Export -----------------------------
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+};
+
+// How a row moves each member's net position (USD, > 0 = owed more)
+const balanceDelta = (obligations) => obligations.reduce((acc, { debtor, creditor, usd }) => {
+  if (debtor === creditor) return acc;
+  acc[creditor] = (acc[creditor] || 0) + usd;
+  acc[debtor] = (acc[debtor] || 0) - usd;
+  return acc;
+}, {});
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+/**
+ * The tables as the dashboard shows them under the current filters, plus computed USD columns.
+ * -> [{ name, rows }] where rows[0] is the header; cells are strings or numbers.
+ */
+const exportSheets = (db, rates, include = () => true) => {
+  const basis = db.settings.debtBasis;
+  const clientName = (id) => db.meta.clients.find((c) => c.id === id)?.name || "";
+  const invoices = db.invoices.filter(include).map((r) => ({ r, shares: incomeShares(r, rates, basis), delta: balanceDelta(obligationsIncome(r, rates, basis)) }));
+  const expenses = db.expenses.filter(include).map((r) => ({ r, shares: splitUsd(r, rates), delta: balanceDelta(obligationsExpense(r, rates)) }));
+  // deactivated members still in older rows keep their columns, or the per-member figures would not add up to Net
+  const used = new Set([...invoices, ...expenses].flatMap(({ shares, delta }) => [...Object.keys(shares), ...Object.keys(delta)]));
+  const ids = db.meta.members.filter((m) => m.active !== false || used.has(m.id)).map((m) => m.id);
+  const names = ids.map((id) => memberName(db, id));
+  const totals = { income: 0, expenses: 0, share: {}, delta: {} };
+  const tally = (key, shares, delta) => ids.forEach((id) => {
+    totals.share[id] = { ...totals.share[id], [key]: (totals.share[id]?.[key] || 0) + (shares[id] || 0) };
+    totals.delta[id] = (totals.delta[id] || 0) + (delta[id] || 0);
+  });
+
+  const invoiceRows = invoices.map(({ r, shares, delta }) => {
+    const state = invoiceState(r, rates);
+    totals.income += incomeUsdOf(r, rates, basis);
+    tally("income", shares, delta);
+    return [
+      r.date, r.invoiceNo || "", clientName(r.clientId), (r.tags || []).join(", "), STATUS_LABELS[state.status] || state.status, r.dueDate || "", memberName(db, r.createdBy),
+      r.currency, round2(amountOf(r)), r.fxRate || "", round2(usdOf(r, rates)), round2(netUsdOf(r, rates)), round2(state.paidUsd),
+      ...ids.map((id) => round2(shares[id])), ...ids.map((id) => round2(delta[id])), r.notes || "",
+    ];
+  });
+  const expenseRows = expenses.map(({ r, shares, delta }) => {
+    totals.expenses += netUsdOf(r, rates);
+    tally("expense", shares, delta);
+    return [
+      r.date, r.description || "", categoryPath(db, r.categoryId), memberName(db, r.paidBy), r.currency, round2(r.amount), r.fxRate || "",
+      round2(usdOf(r, rates)), round2(netUsdOf(r, rates)), ...ids.map((id) => round2(shares[id])), ...ids.map((id) => round2(delta[id])),
+    ];
+  });
+
+  const taxes = taxReport(db, rates, { period: "month", include });
+  return [
+    {
+      name: "Invoices",
+      rows: [["Date", "Invoice #", "Client", "Tags", "Status", "Due", "Created by", "Currency", "Amount", "FX rate", "USD", "Net USD", "Paid USD",
+        ...names.map((n) => `${n} share USD`), ...names.map((n) => `${n} balance Δ USD`), "Notes"], ...invoiceRows],
+    },
+    {
+      name: "Expenses",
+      rows: [["Date", "Description", "Category", "Paid by", "Currency", "Amount", "FX rate", "USD", "Net USD",
+        ...names.map((n) => `${n} share USD`), ...names.map((n) => `${n} balance Δ USD`)], ...expenseRows],
+    },
+    {
+      name: "Summary",
+      rows: [
+        ["", "USD"],
+        [`Income (${basis})`, round2(totals.income)],
+        ["Expenses", round2(totals.expenses)],
+        ["Net", round2(totals.income - totals.expenses)],
+        [],
+        ["Member", "Income share USD", "Expense share USD", "Balance Δ USD"],
+        ...ids.map((id, i) => [names[i], round2(totals.share[id]?.income), round2(totals.share[id]?.expense), round2(totals.delta[id])]),
+        [],
+        [`${invoices.length} invoice(s) and ${expenses.length} expense(s) in the current filters; exported ${new Date().toISOString()}`],
+      ],
+    },
+    {
+      name: "Taxes",
+      rows: [["Rule", "Kind", ...taxes.periods, "Total USD"], ...taxes.rules.map((g) => [g.name, g.kind, ...taxes.periods.map((p) => round2(g.byPeriod[p])), round2(g.total)])],
+    },
+  ];
+};
+
+// text that a spreadsheet would run as a formula (notes and bank descriptions come from outside) is quoted with '
+const csvCell = (v) => {
+  if (typeof v === "number") return String(v);
+  const text = /^[=+\-@\t\r]/.test(String(v ?? "")) ? `'${v}` : String(v ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+// BOM so Excel opens accented names as UTF-8
+const toCSV = (rows) => "\ufeff" + rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+
+// --- minimal XLSX: a zip (stored, no compression) of SpreadsheetML parts with inline strings
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// files: [{ name, data: string }] -> Uint8Array of a zip archive
+const zipStore = (files) => {
+  const enc = new TextEncoder();
+  const chunks = [], central = [];
+  let offset = 0;
+  const u16 = (v) => [v & 0xff, (v >>> 8) & 0xff];
+  const u32 = (v) => [v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, (v >>> 24) & 0xff];
+  files.forEach(({ name, data }) => {
+    const nameBytes = enc.encode(name), body = enc.encode(data), crc = crc32(body);
+    // version 20, UTF-8 names, stored, DOS time 00:00 1 Jan 1980
+    const common = [...u16(20), ...u16(0x0800), ...u16(0), ...u16(0), ...u16(0x21), ...u32(crc), ...u32(body.length), ...u32(body.length), ...u16(nameBytes.length), ...u16(0)];
+    const local = new Uint8Array([...u32(0x04034b50), ...common]);
+    chunks.push(local, nameBytes, body);
+    central.push(new Uint8Array([...u32(0x02014b50), ...u16(20), ...common, ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset)]), nameBytes);
+    offset += local.length + nameBytes.length + body.length;
+  });
+  const size = central.reduce((a, c) => a + c.length, 0);
+  const end = new Uint8Array([...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(files.length), ...u16(files.length), ...u32(size), ...u32(offset), ...u16(0)]);
+  const out = new Uint8Array(offset + size + end.length);
+  let at = 0;
+  [...chunks, ...central, end].forEach((c) => { out.set(c, at); at += c.length; });
+  return out;
+};
+
+const xmlEscape = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const colName = (i) => (i < 26 ? "" : colName(Math.floor(i / 26) - 1)) + String.fromCharCode(65 + (i % 26));
+const sheetXml = (rows) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.map((r, y) => `<row r="${y + 1}">${r.map((v, x) => {
+  const ref = `${colName(x)}${y + 1}`;
+  if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+  return v === "" || v == null ? "" : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+}).join("")}</row>`).join("")}</sheetData></worksheet>`;
+
+// sheets: [{ name, rows }] -> Blob of an .xlsx workbook
+const xlsxBlob = (sheets) => {
+  const ns = "http://schemas.openxmlformats.org";
+  const files = [
+    { name: "[Content_Types].xml", data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="${ns}/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>` },
+    { name: "_rels/.rels", data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name: "xl/workbook.xml", data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>${sheets.map((s, i) => `<sheet name="${xmlEscape(s.name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets></workbook>` },
+    { name: "xl/_rels/workbook.xml.rels", data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${ns}/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}</Relationships>` },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s.rows) })),
+  ];
+  return new Blob([zipStore(files)], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+};
+
+// ----------------------------- Bank Reconciliation -----------------------------
+// Statement CSV: a date column and either a signed amount or separate debit/credit columns
+const statementFromCSV = (text, { account, currency }) => {
+  const [header, ...records] = parseCSV(text);
+  if (!header) return { txns: [], errors: ["Empty file"] };
+  const cols = header.map(normalizeHeader);
+  const find = (...aliases) => cols.findIndex((c) => aliases.some((a) => c.includes(a)));
+  const col = {
+    date: find("date", "fecha"), description: find("description", "descripcion", "concepto", "detalle", "memo", "payee"),
+    amount: find("amount", "importe", "monto"), debit: find("debit", "debito", "withdrawal"), credit: find("credit", "credito", "deposit"),
+    currency: find("currency", "moneda"), fitid: find("reference", "referencia", "fitid"),
+  };
+  if (col.date < 0 || (col.amount < 0 && col.debit < 0 && col.credit < 0)) {
+    return { txns: [], errors: ["Expected a date column and an amount (or debit/credit) column"] };
+  }
+  const dateOrder = detectDateOrder(records.map((r) => r[col.date]));
+  const decimal = detectDecimal(records.flatMap((r) => [col.amount, col.debit, col.credit].filter((i) => i >= 0).map((i) => r[i] ?? "")).filter(Boolean));
+  const txns = [], errors = [];
+  records.forEach((r, i) => {
+    const cell = (c) => (c >= 0 ? String(r[c] ?? "").trim() : "");
+    const date = parseDate(cell(col.date), dateOrder);
+    const amount = col.amount >= 0
+      ? parseNumberAs(cell(col.amount), decimal)
+      : (parseNumberAs(cell(col.credit), decimal) || 0) - Math.abs(parseNumberAs(cell(col.debit), decimal) || 0);
+    if (!date || !Number.isFinite(amount) || !amount) { errors.push(`Line ${i + 2}: skipped`); return; }
+    txns.push({ id: uid(), account, date, amount, currency: (cell(col.currency) || currency).toUpperCase(), description: cell(col.description), ...(cell(col.fitid) && { fitid: cell(col.fitid) }), match: null });
+  });
+  return { txns, errors };
+};
+
+// OFX 1.x (SGML) and 2.x (XML) both keep one <STMTTRN> per transaction
+const statementFromOFX = (text, { account, currency }) => {
+  const tag = (block, name) => block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"))?.[1].trim() || "";
+  const cur = tag(text, "CURDEF").toUpperCase() || currency;
+  const txns = [], errors = [];
+  text.split(/<STMTTRN>/i).slice(1).map((b) => b.split(/<\/STMTTRN>/i)[0]).forEach((b, i) => {
+    const d = tag(b, "DTPOSTED");
+    const date = /^\d{8}/.test(d) ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}` : null;
+    const amount = parseNumber(tag(b, "TRNAMT"));
+    if (!date || !Number.isFinite(amount) || !amount) { errors.push(`Transaction ${i + 1}: skipped`); return; }
+    txns.push({ id: uid(), account: tag(text, "ACCTID") || account, date, amount, currency: cur, description: tag(b, "NAME") || tag(b, "MEMO"), ...(tag(b, "FITID") && { fitid: tag(b, "FITID") }), match: null });
+  });
+  if (!txns.length && !errors.length) errors.push("No transactions found");
+  return { txns, errors };
+};
+
+const txnKey = (t) => (t.fitid ? `${t.account}|${t.fitid}` : `${t.account}|${t.date}|${t.amount}|${normalizeHeader(t.description)}`);
+
+// A row's net in its own currency: what should actually hit the account after taxes and withholdings
+const netInCurrency = (row, rates) => { const unit = unitUsdOf(row, rates); return unit ? netUsdOf(row, rates) / unit : amountOf(row); };
+
+/**
+ * Rows a transaction could be: money in -> invoices (not void), money out -> expenses; same currency, the gross or the
+ * net within 0.5%, and dated within `windowDays` (an invoice's window runs from its date to its due date).
+ * `taken` holds "coll:id" keys already matched elsewhere. Best candidate first.
+ */
+const matchCandidates = (db, txn, rates, taken = new Set()) => {
+  const windowDays = db.settings.reconcileWindowDays ?? 7;
+  const amt = Math.abs(txn.amount);
+  const close = (v) => Math.abs(v - amt) <= Math.max(0.01, amt * 0.005);
+  const pool = txn.amount > 0
+    ? db.invoices.filter((r) => r.status !== "void").map((row) => ({ coll: "invoices", row }))
+    : db.expenses.map((row) => ({ coll: "expenses", row }));
+  return pool
+    .filter(({ coll, row }) => !taken.has(`${coll}:${row.id}`) && row.currency === txn.currency && (close(amountOf(row)) || close(netInCurrency(row, rates))))
+    .map((c) => {
+      const end = c.row.dueDate && c.row.dueDate > c.row.date ? c.row.dueDate : c.row.date;
+      const gap = txn.date < c.row.date ? daysBetween(txn.date, c.row.date) : txn.date > end ? daysBetween(end, txn.date) : 0;
+      return { ...c, gap };
+    })
+    .filter((c) => c.gap <= windowDays)
+    .sort((a, b) => a.gap - b.gap || Math.abs(daysBetween(a.row.date, txn.date)) - Math.abs(daysBetween(b.row.date, txn.date)));
+};
+
+const matchedKeys = (txns, except) => new Set(txns.filter((t) => t.match && t.id !== except).map((t) => `${t.match.coll}:${t.match.id}`));
+
+// Fills `match` on unmatched, not ignored transactions; each ledger row is claimed at most once
+const autoMatch = (db, txns, rates) => {
+  const taken = matchedKeys([...db.bankTxns, ...txns]);
+  return txns.map((t) => {
+    if (t.match || t.ignored) return t;
+    const best = matchCandidates(db, t, rates, taken)[0];
+    if (!best) return t;
+    taken.add(`${best.coll}:${best.row.id}`);
+    return { ...t, match: { coll: best.coll, id: best.row.id } };
+  });
+};
+
+// "coll:id" -> the transaction that reconciles that row
+const reconciledRows = (db) => new Map((db.bankTxns || []).filter((t) => t.match).map((t) => [`${t.match.coll}:${t.match.id}`, t]));
+
+const expenseFromTxn = (db, txn, paidBy) => {
+  const row = {
+    id: uid(), date: txn.date, description: txn.description || "Bank debit", currency: txn.currency, amount: Math.abs(txn.amount), fxRate: 0,
+    paidBy, categoryId: null, adjustments: [], split: equalSplit(activeMembers(db).map((m) => m.id)),
+  };
+  return { ...row, fxRate: row.currency === "USD" ? 0 : tableRateFor(db, row)?.rate || 0 };
+};
+
+// ----------------------------- Recurring -----------------------------
+const RECURRENCE_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// `day` of the month `n` months after `iso`, clamped to the month's length (31 -> 30 Apr, 28/29 Feb)
+const addMonthsOnDay = (iso, n, day) => {
+  const total = parseInt(iso.slice(0, 4), 10) * 12 + parseInt(iso.slice(5, 7), 10) - 1 + n;
+  const y = Math.floor(total / 12), m = (total % 12) + 1;
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return `${y}-${String(m).padStart(2, "0")}-${String(Math.min(day, last)).padStart(2, "0")}`;
+};
+
+// Occurrences after lastRun (and from start on) up to `until`, at most `limit`; paused templates are the caller's call
+const occurrences = (rec, until, limit = 240) => {
+  const out = [];
+  const step = RECURRENCE_MONTHS[rec.frequency] || 1;
+  for (let i = 0; out.length < limit && i < 2400; i++) {
+    const date = addMonthsOnDay(rec.start, i * step, rec.day);
+    if (date > until || (rec.end && date > rec.end)) break;
+    if (date >= rec.start && (!rec.lastRun || date > rec.lastRun)) out.push(date);
+  }
+  return out;
+};
+const nextOccurrence = (rec) => occurrences(rec, "9999-12-31", 1)[0] || null;
+
+/**
+ * Rows each active template that `include` accepts owes up to `today`. Ids are derived from template and date, so two
+ * devices generating the same occurrence produce one row; occurrences already recorded are left out, and a template
+ * with one still waiting for approval is skipped until that is decided. -> [{ rec, rows, lastRun }]
+ */
+const generateRecurring = (db, today = todayISO(), include = () => true) => {
+  const out = [];
+  const pending = new Set((db.approvals || []).filter((a) => a.status === "pending")
+    .flatMap((a) => (a.op.kind === "add" ? [a.op.row.id] : a.op.kind === "addMany" ? a.op.rows.map((r) => r.id) : [])));
+  let numbering = db;
+  (db.recurring || []).filter((rec) => !rec.paused && include(rec)).forEach((rec) => {
+    const dates = occurrences(rec, today);
+    if (!dates.length || dates.some((date) => pending.has(`${rec.id}-${date}`))) return;
+    const recorded = new Set(db[rec.coll].map((r) => r.id));
+    const rows = dates.filter((date) => !recorded.has(`${rec.id}-${date}`)).map((date) => {
+      let row = { ...rec.template, id: `${rec.id}-${date}`, date, recurringId: rec.id };
+      if (rec.fx === "table" && row.currency !== (row.fxBase || "USD")) row.fxRate = tableRateFor(db, row)?.rate || row.fxRate;
+      if (rec.coll === "invoices") {
+        row = { ...row, invoiceNo: nextInvoiceNo(numbering, date), status: row.status || "draft", dueDate: null, payments: [] };
+        numbering = { ...numbering, invoices: [row, ...numbering.invoices] };
+      }
+      return row;
+    });
+    out.push({ rec, rows, lastRun: dates[dates.length - 1] });
+  });
+  return out;
+};
+
+// A template from an existing row; the row itself counts as the first occurrence
+const recurringFrom = (coll, row, by) => {
+  const { id, date, invoiceNo, payments, dueDate, recurringId, ...template } = row;
+  return {
+    id: `rc-${uid()}`, coll, frequency: "monthly", day: parseInt(date.slice(8, 10), 10), start: date, end: null, paused: false,
+    fx: "table", lastRun: date, template: coll === "invoices" ? { ...template, status: "draft" } : template, createdBy: by,
+  };
+};
+
+// ----------------------------- Categories & Budgets -----------------------------
+const DEFAULT_CATEGORIES = [
+  { id: "cat-software", name: "Software", parentId: null, budget: null },
+  { id: "cat-taxes", name: "Taxes & fees", parentId: null, budget: null },
+  { id: "cat-travel", name: "Travel", parentId: null, budget: null },
+  { id: "cat-services", name: "Professional services", parentId: null, budget: null },
+  { id: "cat-office", name: "Office", parentId: null, budget: null },
+];
+
+// Drops malformed entries; a parent that is missing or would close a loop makes the category a root
+const repairCategories = (list) => {
+  const cats = (Array.isArray(list) ? list : []).filter((c) => c && c.id)
+    .map((c) => ({ ...c, parentId: c.parentId || null, budget: c.budget === null || c.budget === undefined || c.budget === "" ? null : num(c.budget) }));
+  const byId = new Map(cats.map((c) => [c.id, c]));
+  return cats.map((c) => {
+    const seen = new Set([c.id]);
+    for (let p = byId.get(c.parentId); p; p = byId.get(p.parentId)) {
+      if (seen.has(p.id)) return { ...c, parentId: null };
+      seen.add(p.id);
+    }
+    return byId.has(c.parentId) ? c : { ...c, parentId: null };
+  });
+};
+
+// [{ cat, depth }] with every parent before its children, siblings by name. A category whose parent was removed
+// is a root, as repairCategories makes it on the next load.
+const categoryTree = (cats) => {
+  const ids = new Set(cats.map((c) => c.id));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const walk = (cat, depth) => [{ cat, depth }, ...cats.filter((c) => c.parentId === cat.id).sort(byName).flatMap((c) => walk(c, depth + 1))];
+  return cats.filter((c) => !ids.has(c.parentId)).sort(byName).flatMap((c) => walk(c, 0));
+};
+const categoryIdsUnder = (cats, id) => [id, ...cats.filter((c) => c.parentId === id).flatMap((c) => categoryIdsUnder(cats, c.id))];
+const categoryPath = (db, id) => {
+  const cat = db.meta.categories.find((c) => c.id === id);
+  if (!cat) return "Uncategorized";
+  return db.meta.categories.some((c) => c.id === cat.parentId) ? `${categoryPath(db, cat.parentId)} › ${cat.name}` : cat.name;
+};
+
+// Monthly budget in USD: the category's own, else the sum of its children's (null when nothing below has one)
+const monthlyBudget = (cats, cat) => {
+  if (cat.budget !== null && cat.budget !== undefined) return cat.budget;
+  const parts = cats.filter((c) => c.parentId === cat.id).map((c) => monthlyBudget(cats, c)).filter((b) => b !== null);
+  return parts.length ? parts.reduce((a, b) => a + b, 0) : null;
+};
+const monthsIn = (start, end) => Math.max(1, (parseInt(end.slice(0, 4), 10) - parseInt(start.slice(0, 4), 10)) * 12 + parseInt(end.slice(5, 7), 10) - parseInt(start.slice(5, 7), 10) + 1);
+
+/**
+ * Net USD spent per category (children roll up into parents) against budget × months in [start, end].
+ * `include` is the dashboard filter. -> { months, rows: [{ cat, depth, actual, budget, over }], uncategorized, total }
+ */
+const budgetReport = (db, rates, { start, end, include = () => true }) => {
+  const cats = db.meta.categories;
+  const known = new Set(cats.map((c) => c.id));
+  const spent = new Map();
+  let uncategorized = 0;
+  db.expenses.filter(include).forEach((r) => {
+    const usd = netUsdOf(r, rates);
+    if (known.has(r.categoryId)) spent.set(r.categoryId, (spent.get(r.categoryId) || 0) + usd);
+    else uncategorized += usd;
+  });
+  const months = monthsIn(start, end);
+  const rows = categoryTree(cats).map(({ cat, depth }) => {
+    const actual = categoryIdsUnder(cats, cat.id).reduce((a, id) => a + (spent.get(id) || 0), 0);
+    const monthly = monthlyBudget(cats, cat);
+    const budget = monthly === null ? null : monthly * months;
+    return { cat, depth, actual, budget, over: budget !== null && actual > budget + 0.005 };
+  });
+  const roots = rows.filter((r) => r.depth === 0);
+  return {
+    months, rows, uncategorized,
+    total: { actual: roots.reduce((a, r) => a + r.actual, 0) + uncategorized, budget: roots.reduce((a, r) => a + (r.budget || 0), 0) },
+  };
+};
+
+// ----------------------------- Permissions -----------------------------
+/**
+ * role "accountant" can view and export but never mutate. settings.permissions = { ownerOnly, closedThrough }:
+ *  - ownerOnly: only a row's owner (invoice creator, expense payer, either settlement party) adds it,
+ *    deletes it or touches its money fields; anyone else may still fix dates, clients, notes …
+ *  - closedThrough: "YYYY-MM"; changes to rows dated in or before that month wait for another member's approval.
+ * Relaxing the rules (roles, ownerOnly off, reopening a month) and renaming or (de)activating another member need
+ * approval too; with no other active member left to give it, such changes are refused. Pending changes live in
+ * db.approvals = [{ id, ts, by, action, op, status: 'pending'|'approved'|'rejected', decidedBy?, decidedTs? }].
+ */
+const OWNER_FIELDS = ["amount", "lines", "currency", "fxRate", "fxBase", "fxSource", "adjustments", "split", "createdBy", "paidBy", "from", "to", "status", "payments"];
+const ROW_COLLS = ["invoices", "expenses", "settlements"];
+const memberRole = (db, id) => db.meta.members.find((m) => m.id === id)?.role || "member";
+const isReadOnly = (db, id) => memberRole(db, id) === "accountant";
+const ownersOf = (coll, row) => (coll === "invoices" ? [row.createdBy] : coll === "expenses" ? [row.paidBy] : coll === "recurring" ? ownersOf(row.coll, row.template) : [row.from, row.to]);
+// a template's rows are recorded under its owner's name, so its money follows the same rule as theirs
+const ownsTemplate = (db, user, rec) => !db.settings.permissions?.ownerOnly || ownersOf("recurring", rec).includes(user);
+const RECURRING_OWNER_FIELDS = ["fx"]; // besides the template's own OWNER_FIELDS
+const isClosed = (db, date) => {
+  const through = db.settings.permissions?.closedThrough;
+  return !!through && typeof date === "string" && date.slice(0, 7) <= through;
+};
+const approversFor = (db, by) => activeMembers(db).filter((m) => m.id !== by && m.role !== "accountant");
+const pendingFor = (db, coll, id) => (db.approvals || []).find((a) => a.status === "pending" && a.op.kind === "update" && a.op.coll === coll && a.op.id === id);
+
+// -> { ok: false, reason } | { ok: true, approval?: reason }
+const checkOp = (db, by, op) => {
+  if (isReadOnly(db, by)) {
+    const ownPin = op.kind === "update" && op.coll === "members" && op.id === by && Object.keys(op.patch).every((k) => k === "pin");
+    return ownPin ? { ok: true } : { ok: false, reason: `${memberName(db, by)} has read-only (accountant) access.` };
+  }
+  if (op.resolution) return { ok: true }; // both values were already accepted on some device
+  const rules = db.settings.permissions || {};
+  // with nobody left to ask (the others are inactive or accountants) the change cannot be approved
+  const approval = (reason) => (approversFor(db, by).length
+    ? { ok: true, approval: reason }
+    : { ok: false, reason: `${reason} needs another member's approval, and no other active member can give it.` });
+  if (op.kind === "settings") {
+    const next = op.patch.permissions;
+    const relaxes = next && ((rules.ownerOnly && !next.ownerOnly) || (rules.closedThrough && (!next.closedThrough || next.closedThrough < rules.closedThrough)));
+    return relaxes ? approval("Relaxing the permission rules") : { ok: true };
+  }
+  if (op.kind === "update" && op.coll === "members" && "pin" in op.patch && op.id !== by) {
+    const target = db.meta.members.find((m) => m.id === op.id);
+    if ((target?.pin && !target.pin.temporary) || !op.patch.pin?.temporary) return { ok: false, reason: `Only ${memberName(db, op.id)} can change their PIN.` };
+  }
+  if (op.kind === "update" && op.coll === "members") {
+    const target = memberName(db, op.id);
+    if ("role" in op.patch) return approval(`Changing ${target}'s role`);
+    if (op.id !== by && "name" in op.patch) return approval(`Renaming ${target}`);
+    if (op.id !== by && "active" in op.patch) return approval(`${op.patch.active === false ? "Deactivating" : "Reactivating"} ${target}`);
+  }
+  if (op.coll === "recurring") {
+    const rec = op.kind === "add" ? op.row : getColl(db, op.coll).find((r) => r.id === op.id);
+    if (!rec || ownsTemplate(db, by, rec)) return { ok: true };
+    const names = ownersOf(op.coll, rec).map((id) => memberName(db, id)).join(" or ");
+    if (op.kind === "add") return { ok: false, reason: `Only ${names} can make this row recurring.` };
+    if (op.kind === "remove") return { ok: false, reason: `Only ${names} can delete this template.` };
+    const money = Object.keys(op.patch).some((k) => RECURRING_OWNER_FIELDS.includes(k))
+      || (op.patch.template && OWNER_FIELDS.some((k) => !sameValue(op.patch.template[k], rec.template[k])));
+    return money ? { ok: false, reason: `Only ${names} can change the amounts and splits of this template.` } : { ok: true };
+  }
+  if (!ROW_COLLS.includes(op.coll)) return { ok: true };
+
+  const names = (row) => ownersOf(op.coll, row).map((id) => memberName(db, id)).join(" or ");
+  const notOwner = (row) => rules.ownerOnly && !ownersOf(op.coll, row).includes(by);
+  if (op.kind === "add" || op.kind === "addMany") {
+    const rows = op.kind === "add" ? [op.row] : op.rows;
+    const foreign = rows.find(notOwner);
+    if (foreign) return { ok: false, reason: `Only ${names(foreign)} can record this row.` };
+    return rows.some((r) => isClosed(db, r.date)) ? approval("Adding to a closed month") : { ok: true };
+  }
+  const row = getColl(db, op.coll).find((r) => r.id === op.id);
+  if (!row) return { ok: true };
+  if (op.kind === "remove" && notOwner(row)) return { ok: false, reason: `Only ${names(row)} can delete this row.` };
+  if (op.kind === "update" && notOwner(row) && Object.keys(op.patch).some((k) => OWNER_FIELDS.includes(k))) {
+    return { ok: false, reason: `Only ${names(row)} can change amounts and splits on this row.` };
+  }
+  return isClosed(db, row.date) || isClosed(db, op.patch?.date) ? approval("Changing a closed month") : { ok: true };
+};
+
+// Shows a row with its pending (unapproved) edits applied, and whether the user owns its money fields
+const rowAccess = (db, user, coll, r) => {
+  const pending = pendingFor(db, coll, r.id);
+  const owner = !db.settings.permissions?.ownerOnly || ownersOf(coll, r).includes(user);
+  return {
+    view: pending ? { ...r, ...pending.op.patch } : r,
+    owner,
+    lockTitle: owner ? undefined : `Only ${ownersOf(coll, r).map((id) => memberName(db, id)).join(" or ")} can change this`,
+    rowClass: pending ? "border-t bg-amber-50" : isClosed(db, r.date) ? "border-t bg-gray-50" : "border-t",
+    rowTitle: pending ? `Waiting for approval (requested by ${memberName(db, pending.by)})` : isClosed(db, r.date) ? "Closed month: changes need approval" : undefined,
+  };
+};
+
+// ----------------------------- Audit -----------------------------
+// Readable labels and diffs for changelog entries, shared by the audit view, conflicts and approvals
+const COLL_LABELS = { invoices: "Invoice", expenses: "Expense", settlements: "Settlement", fxTable: "FX rate", bankTxns: "Bank transaction", recurring: "Recurring template", clients: "Client", members: "Member", currencies: "Currency", taxRules: "Tax rule", categories: "Category", approvals: "Approval request" };
+const MEMBER_KEYS = ["createdBy", "paidBy", "from", "to", "by", "decidedBy"];
+
+const recordLabel = (db, coll, row) => {
+  if (!row) return `${COLL_LABELS[coll] || coll} (deleted)`;
+  if (coll === "invoices") return `Invoice ${row.invoiceNo}`;
+  if (coll === "expenses") return `Expense "${row.description}"`;
+  if (coll === "settlements") return `Settlement ${memberName(db, row.from)} → ${memberName(db, row.to)} (${row.date})`;
+  if (coll === "fxTable") return `FX ${row.base}/${row.quote} ${row.source} ${row.date}`;
+  if (coll === "currencies") return `Currency ${row.code}`;
+  if (coll === "approvals") return `Request by ${memberName(db, row.by)}`;
+  if (coll === "recurring") return `Recurring ${row.frequency} ${row.template.description || row.template.invoiceNo || row.coll}`;
+  if (coll === "bankTxns") return `Bank ${row.date} ${row.amount} ${row.currency} "${row.description}"`;
+  return `${COLL_LABELS[coll] || coll} ${row.name}`;
+};
+
+const entryLabel = (db, e) => {
+  const op = e.op;
+  if (!op) return e.payload?.id ? memberName(db, e.payload.id) : "";
+  if (op.kind === "settings") return "Settings";
+  if (op.kind === "meta") return "Workspace";
+  if (op.kind === "addMany" || op.kind === "removeMany") return `${(op.rows || op.ids).length} × ${COLL_LABELS[op.coll] || op.coll}`;
+  return recordLabel(db, op.coll, e.after || e.before || op.row || getColl(db, op.coll).find((r) => r.id === op.id));
+};
+
+const showValue = (db, key, v) => {
+  if (v === undefined || v === null || v === "") return "—";
+  if (MEMBER_KEYS.includes(key)) return memberName(db, v);
+  if (key === "clientId") return db.meta.clients.find((c) => c.id === v)?.name ?? v;
+  if (key === "categoryId") return categoryPath(db, v);
+  if (key === "parentId") return categoryPath(db, v);
+  if (key === "tags" && Array.isArray(v)) return v.length ? v.join(", ") : "none";
+  if (key === "split" && v.shares) return Object.entries(v.shares).map(([id, n]) => `${memberName(db, id)} ${v.mode === "remainder" && id === v.remainderTo ? "rest" : `${n}${v.mode === "percent" ? "%" : ""}`}`).join(" / ");
+  if (key === "adjustments" && Array.isArray(v)) return v.length ? v.map((a) => `${a.label} ${adjustmentText(a)}`).join(", ") : "none";
+  if (key === "lines" && Array.isArray(v)) return v.length ? v.map((l) => `${l.description || "line"} ${l.qty}×${l.unitPrice}`).join(", ") : "none";
+  if (key === "payments" && Array.isArray(v)) return v.length ? v.map((p) => `${p.date} ${p.amount} ${p.currency}`).join(", ") : "none";
+  if (key === "pin") return "••••";
+  if (key === "logoDataUrl" || key === "logoHash") return v ? `image ${key === "logoHash" ? v : ""}`.trim() : "none";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+};
+
+// ["amount 1200 → 1350", "fxRate 0 → 1010"] for edits; a one-line summary for everything else
+const entryDiff = (db, e) => {
+  const op = e.op;
+  if (!op) return [];
+  if (op.kind === "update" || op.kind === "settings" || op.kind === "meta") {
+    return Object.keys(op.patch).map((k) => `${k} ${e.before ? `${showValue(db, k, e.before[k])} → ` : "→ "}${showValue(db, k, op.patch[k])}`);
+  }
+  const row = op.row || e.before;
+  const money = row && "amount" in row ? ` (${row.amount} ${row.currency})` : "";
+  if (op.kind === "add") return [`created${money}`];
+  if (op.kind === "remove") return [`deleted${money}`];
+  if (op.kind === "addMany") return [`added ${op.rows.length} rows`];
+  if (op.kind === "removeMany") return [`removed ${op.ids.length} rows`];
+  return [];
+};
+
+// ----------------------------- Auth -----------------------------
+/**
+ * PINs are stored per member as a salted PBKDF2-SHA-256 hash (Web Crypto), never in plain text.
+ * Failed attempts and lockouts are tracked per device in localStorage, outside the shared DB.
+ * Only the very first member picks a PIN at the gate; everyone after that is invited by a logged-in member with a
+ * temporary PIN, which they replace with their own on first login.
+ */
+const PIN_ITERATIONS = 100000;
+const MAX_PIN_FAILURES = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+const AUTH_KEY = "idtracker_auth";
+
+const toB64 = (buf) => {
+  const bytes = new Uint8Array(buf);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+const fromB64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+const derivePin = async (pin, salt, iterations) => {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  return toB64(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256));
 };
-const saveDB = (db) => localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+const hashPin = async (pin) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt: toB64(salt), hash: await derivePin(pin, salt, PIN_ITERATIONS), iterations: PIN_ITERATIONS };
+};
+const verifyPin = async (pin, stored) => (await derivePin(pin, fromB64(stored.salt), stored.iterations)) === stored.hash;
 
-// Compute USD for a row
-const usdOf = (row) => (row.currency === "USD" ? row.amount : (row.fxRate ? row.amount / row.fxRate : 0));
-const netUsdOf = (row) => row.adjustments.reduce((acc, adj) => adj.type === "percent" ? acc * (1 + adj.value/100) : acc + adj.value, usdOf(row));
-
-// Split helper -> returns { debiUSD, bochaUSD }
-const splitUsd = (row) => {
-  const net = netUsdOf(row);
-  if (row.split.mode === "amount") {
-    const debi = row.split.debi ?? 0;
-    const bocha = row.split.bocha ?? 0;
-    return { debiUSD: debi, bochaUSD: bocha };
-  } else {
-    const d = (row.split.debi ?? 0) / 100;
-    const b = (row.split.bocha ?? 0) / 100;
-    return { debiUSD: net * d, bochaUSD: net * b };
-  }
+// { [memberId]: { failures, lockedUntil } }
+const loadAuthState = () => { try { return JSON.parse(localStorage.getItem(AUTH_KEY)) || {}; } catch { return {}; } };
+const saveAuthState = (state) => localStorage.setItem(AUTH_KEY, JSON.stringify(state));
+
+// ----------------------------- Encryption -----------------------------
+/**
+ * Optional at-rest encryption. When a passphrase is set, the stored DB and exports are an envelope
+ * { encrypted: "AES-GCM", iterations, salt, iv, data } with a PBKDF2-SHA-256 key derived from the passphrase.
+ * The "vault" ({ passphrase, key, salt, iterations }) only lives in memory; losing the passphrase loses the data.
+ */
+const isEncrypted = (doc) => !!doc && doc.encrypted === "AES-GCM";
+
+const openVault = async (passphrase, salt = toB64(crypto.getRandomValues(new Uint8Array(16))), iterations = PIN_ITERATIONS) => {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  const key = await crypto.subtle.deriveKey({ name: "PBKDF2", hash: "SHA-256", salt: fromB64(salt), iterations }, base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  return { passphrase, key, salt, iterations };
 };
 
-// Debt convention:
-//  - INCOME: creator collects; therefore creator owes the partner their share.
-//  - EXPENSE: paidBy paid upfront; therefore partner owes the payer their share.
-// We track net balance "Bocha owes Debi" (positive => Bocha owes Debi; negative => Debi owes Bocha)
-const debtDeltaIncome = (inv) => {
-  const { debiUSD, bochaUSD } = splitUsd(inv);
-  if (inv.createdBy === "Debi") {
-    // Debi holds all; she owes Bocha bochaUSD => decreases Bocha-owes-Debi
-    return -bochaUSD;
-  } else {
-    // Bocha created => Bocha owes Debi debiUSD
-    return +debiUSD;
-  }
+const encryptJSON = async (obj, vault) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, vault.key, new TextEncoder().encode(JSON.stringify(obj)));
+  return { encrypted: "AES-GCM", iterations: vault.iterations, salt: vault.salt, iv: toB64(iv), data: toB64(data) };
 };
-const debtDeltaExpense = (exp) => {
-  const { debiUSD, bochaUSD } = splitUsd(exp);
-  if (exp.paidBy === "Debi") {
-    // Debi paid for both; Bocha owes Debi their share
-    return +bochaUSD;
-  } else {
-    return -debiUSD;
-  }
+
+// Envelopes written with another salt (a partner's device, an old export) get their own key
+const decryptJSON = async (env, vault) => {
+  const v = env.salt === vault.salt && env.iterations === vault.iterations ? vault : await openVault(vault.passphrase, env.salt, env.iterations);
+  let plain;
+  try { plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(env.iv) }, v.key, fromB64(env.data)); }
+  catch { throw new Error("Wrong passphrase or damaged data"); }
+  return JSON.parse(new TextDecoder().decode(plain));
 };
 
 // ----------------------------- Main App -----------------------------
 export default function App() {
-  const [db, setDb] = useState(loadDB());
-  const [user, setUser] = useState(null); // "Debi" | "Bocha"
-  const [pin, setPin] = useState("");
+  const [boot] = useState(loadDB);
+  const [db, setDb] = useState(boot.db);
+  const [user, setUser] = useState(null); // member id
+  const lastActivity = useRef(Date.now());
+  const sessionStart = useRef(new Date().toISOString()); // undo only reaches entries made since login
   const fileInputRef = useRef(null);
 
-  // persist
-  useEffect(() => { saveDB(db); }, [db]);
+  // storage backend
+  const [adapterCfg, setAdapterCfg] = useState(loadAdapterConfig);
+  const adapter = useMemo(() => createAdapter(adapterCfg), [adapterCfg]);
+  const [ready, setReady] = useState(false); // true once the adapter's copy has been loaded
+  const [storage, setStorage] = useState({ status: "loading", error: null }); // loading | saving | saved | error
+  const savedRef = useRef(null); // last DB the adapter acknowledged, to send only changed keys
+  const dbRef = useRef(db); // latest local copy, for merging a load that resolves later
+  dbRef.current = db;
+  const [vault, setVault] = useState(null); // set while encryption is on
+  const [locked, setLocked] = useState(loadLockedDB); // encrypted envelope waiting for the passphrase
+  const [unreadable, setUnreadable] = useState(boot.error); // the stored copy could not be loaded: nothing is saved over it
+  const [repairs, setRepairs] = useState(boot.issues); // what validateDB had to fix in the stored copy
+
+  const readable = async (doc) => {
+    if (!isEncrypted(doc)) return doc;
+    if (!vault) throw new Error("The stored data is encrypted; unlock it first");
+    return decryptJSON(doc, vault);
+  };
+
+  useEffect(() => { saveAdapterConfig(adapterCfg); }, [adapterCfg]);
+
+  // load from the adapter; until then we render the local copy
+  useEffect(() => {
+    let cancelled = false;
+    setReady(false);
+    setStorage({ status: "loading", error: null });
+    savedRef.current = null;
+    adapter.load().then(async (stored) => {
+      if (cancelled) return;
+      if (isEncrypted(stored) && !vault) { setLocked(stored); setStorage({ status: "locked", error: null }); return; }
+      setLocked(null);
+      stored = stored && await readable(stored);
+      if (cancelled) return;
+      if (stored) {
+        const { db: migrated, issues } = migrateDB(stored);
+        setRepairs(issues);
+        // ops made offline or while the backend was unreachable are merged in, not dropped
+        const local = dbRef.current;
+        if (hasUnseen(migrated, local)) {
+          const { db: merged, conflicts } = mergeRemote(local, migrated);
+          setDb(merged);
+          if (conflicts.length) alert(`Merged with ${conflicts.length} conflicting edit(s) to resolve.`);
+        } else setDb(migrated);
+        savedRef.current = stored; // pushes the migrated (and merged) copy back on the next save
+      }
+      setReady(true);
+      setStorage({ status: "saved", error: null });
+    }).catch((e) => {
+      // keep editing the local copy, but never push it over a backend we could not read
+      if (!cancelled) setStorage({ status: "error", error: e.message });
+    });
+    return () => { cancelled = true; };
+  }, [adapter]);
 
-  // derived: debt
-  const debt = useMemo(() => {
-    const inc = db.invoices.reduce((acc, r) => acc + debtDeltaIncome(r), 0);
-    const exp = db.expenses.reduce((acc, r) => acc + debtDeltaExpense(r), 0);
-    return inc + exp; // >0 Bocha owes Debi; <0 Debi owes Bocha
-  }, [db]);
+  // persist (debounced; only top-level keys that changed are patched, encrypted documents are written whole)
+  useEffect(() => {
+    if (locked || unreadable) return;
+    if (adapter.kind !== "local") { // offline copy for remote backends
+      (vault ? encryptJSON(db, vault) : Promise.resolve(db)).then(saveDB).catch((e) => setStorage({ status: "error", error: e.message }));
+    }
+    if (!ready || db === savedRef.current) return;
+    const t = setTimeout(async () => {
+      setStorage({ status: "saving", error: null });
+      try {
+        if (adapter.kind !== "local") {
+          // pull before push so the partner's ops get merged instead of overwritten
+          const loaded = await adapter.load();
+          const remote = loaded && migrateDB(await readable(loaded)).db;
+          if (remote && hasUnseen(db, remote)) { setDb((cur) => mergeRemote(cur, remote).db); return; } // re-runs with the merged copy
+        }
+        const prev = savedRef.current;
+        const patch = prev && Object.fromEntries(Object.keys(db).filter((k) => db[k] !== prev[k]).map((k) => [k, db[k]]));
+        if (vault) await adapter.save(await encryptJSON(db, vault));
+        else await (patch ? adapter.applyPatch(patch) : adapter.save(db));
+        savedRef.current = db;
+        setStorage({ status: "saved", error: null });
+      } catch (e) {
+        setStorage({ status: "error", error: e.message });
+      }
+    }, 400);
+    return () => clearTimeout(t);
+  }, [db, ready, adapter, vault, locked, unreadable]);
+
+  const unlock = async (passphrase) => {
+    const v = await openVault(passphrase, locked.salt, locked.iterations);
+    const doc = await decryptJSON(locked, v); // throws on a wrong passphrase
+    setVault(v);
+    setDb(migrateDB(doc).db);
+    savedRef.current = doc;
+    setLocked(null);
+    setReady(true);
+    setStorage({ status: "saved", error: null });
+  };
+
+  // turning encryption on/off rewrites the whole stored document
+  const setPassphrase = async (passphrase) => {
+    savedRef.current = null;
+    setVault(passphrase ? await openVault(passphrase) : null);
+  };
+
+  const discardStored = () => {
+    if (!confirm("Discard the stored copy that could not be read? The next change overwrites it.")) return;
+    setUnreadable(null);
+    if (adapter.kind === "local") { setReady(true); setStorage({ status: "saved", error: null }); } // its load failed on the same copy
+  };
+
+  const syncNow = async () => {
+    try {
+      const loaded = await adapter.load();
+      const remote = loaded && migrateDB(await readable(loaded)).db;
+      if (remote && hasUnseen(db, remote)) setDb((cur) => mergeRemote(cur, remote).db);
+      if (!ready && !locked && !unreadable) { setReady(true); setStorage({ status: "saved", error: null }); } // the initial load had failed: saving can resume
+    } catch (e) {
+      setStorage({ status: "error", error: e.message });
+    }
+  };
+
+  // "as of" mode: the ledger rebuilt from the changelog at the end of that day, shown read-only
+  const [asOf, setAsOf] = useState("");
+  const past = useMemo(() => (asOf ? ledgerAsOf(db, new Date(`${asOf}T23:59:59.999`).toISOString()) : null), [db, asOf]);
+  const view = past ? past.db : db;
+
+  // derived: pairwise balances and the transfers that settle them
+  const balances = useMemo(() => {
+    const matrix = balanceMatrix(view);
+    const ids = [...new Set([...view.meta.members.map((m) => m.id), ...Object.keys(matrix)])];
+    const net = netBalances(matrix, ids);
+    return { matrix, net, transfers: minimalTransfers(net) };
+  }, [view]);
+
+  // reporting currency (fmt/fromUsd) and registry rates
+  const money = useMemo(() => reportingMoney(view), [view.meta.currencies, view.settings.reportingCurrency]);
 
   // totals
   const totals = useMemo(() => {
-    const incomeUSD = db.invoices.reduce((a, r) => a + Math.max(0, netUsdOf(r)), 0);
-    const yourShare = db.invoices.reduce((a, r) => a + (user === "Debi" ? splitUsd(r).debiUSD : splitUsd(r).bochaUSD), 0);
+    const basis = view.settings.debtBasis;
+    const incomeUSD = view.invoices.reduce((a, r) => a + Math.max(0, incomeUsdOf(r, money.rates, basis)), 0);
+    const yourShare = view.invoices.reduce((a, r) => a + (incomeShares(r, money.rates, basis)[user] || 0), 0);
     const partnerShare = incomeUSD - yourShare;
     return { incomeUSD, yourShare, partnerShare };
-  }, [db, user]);
+  }, [view, user, money]);
+
+  const splitWarnings = useMemo(() => unbalancedSplits(view, money.rates), [view, money]);
 
   // filters (period, client, creator)
   const [flt, setFlt] = useState({
@@ -170,7 +2031,7 @@ export default function App() {
     clientId: "all",
     creator: "all",
   });
-  useEffect(() => { setFlt((f) => ({ ...f, period: db.settings.period || "6m" })); }, [db.settings.period]);
+  useEffect(() => { setFlt((f) => ({ ...f, period: view.settings.period || "6m" })); }, [view.settings.period]);
 
   const { start: defaultStart } = lastMonths(6);
   const dateRangeFor = (period) => {
@@ -191,85 +2052,316 @@ export default function App() {
     return true;
   };
 
+  // budgets cover the filtered period; "all time" starts at the first expense
+  const budgets = useMemo(() => {
+    const first = view.expenses.reduce((min, r) => (r.date < min ? r.date : min), todayISO());
+    const start = flt.period === "all" ? first : dateRangeFor(flt.period).start.toISOString().slice(0, 10);
+    return budgetReport(view, money.rates, { start, end: todayISO(), include: matchesFilters });
+  }, [view, money, flt]);
+
   // monthly chart data (simple SVG line)
   const monthly = useMemo(() => {
-    const map = new Map(); // key: YYYY-MM -> total USD net (incomes - expenses)
+    const map = new Map(); // key: YYYY-MM -> total net in the reporting currency (incomes - expenses)
     const add = (date, val) => {
       const ym = date.slice(0,7);
-      map.set(ym, (map.get(ym) || 0) + val);
+      map.set(ym, (map.get(ym) || 0) + money.fromUsd(val));
     };
-    db.invoices.forEach((r) => { if (matchesFilters(r)) add(r.date, netUsdOf(r)); });
-    db.expenses.forEach((r) => { if (matchesFilters(r)) add(r.date, -netUsdOf(r)); });
+    view.invoices.forEach((r) => { if (matchesFilters(r) && countsAsIncome(r)) add(r.date, netUsdOf(r, money.rates)); });
+    view.expenses.forEach((r) => { if (matchesFilters(r)) add(r.date, -netUsdOf(r, money.rates)); });
     return [...map.entries()].sort(([a],[b]) => a.localeCompare(b));
-  }, [db, flt]);
+  }, [view, flt, money]);
 
   // --------------- Actions & ChangeLog ---------------
-  const log = (action, payload) => setDb((cur) => ({
+  // entries without an op (logins, logouts) are informational and never replayed
+  const log = (action, payload, by = user) => setDb((cur) => ({
     ...cur,
     changelog: [
-      { id: uid(), ts: new Date().toISOString(), user: user || "sys", action, payload },
+      { id: uid(), ts: new Date().toISOString(), user: by || "sys", action, payload },
       ...cur.changelog,
     ]
   }));
 
-  const addClient = (name) => setDb((cur) => ({
-    ...cur,
-    meta: { ...cur.meta, clients: [...cur.meta.clients, { id: `c-${uid()}`, name }] },
-  }));
+  const login = (id) => { lastActivity.current = Date.now(); sessionStart.current = new Date().toISOString(); setUser(id); log("login", { id }, id); };
+  const logout = (action = "logout") => { log(action, { id: user }); setUser(null); setRedo([]); setAsOf(""); };
+
+  // idle timeout: any interaction counts as activity
+  useEffect(() => {
+    if (!user) return;
+    const touch = () => { lastActivity.current = Date.now(); };
+    const events = ["mousemove", "keydown", "click", "touchstart", "scroll"];
+    events.forEach((ev) => window.addEventListener(ev, touch, { passive: true }));
+    const t = setInterval(() => {
+      if (Date.now() - lastActivity.current > (db.settings.sessionTimeoutMin || 15) * 60000) logout("session_timeout");
+    }, 15000);
+    return () => { events.forEach((ev) => window.removeEventListener(ev, touch)); clearInterval(t); };
+  }, [user, db.settings.sessionTimeoutMin]);
+
+  // apply an op and record it; consecutive edits of the same row by the same user are folded into one entry
+  const record = (action, op, by = user, extra = {}) => setDb((cur) => {
+    const next = applyOp(cur, op);
+    const entry = { id: uid(), ts: new Date().toISOString(), user: by || "sys", action, payload: { id: op.id ?? op.row?.id }, op, before: snapshotOf(cur, op), after: snapshotOf(next, op), ...extra };
+    const head = cur.changelog[0];
+    const fold = op.kind === "update" && !op.resolution && !entry.revertOf && head?.op?.kind === "update" && !head.op.resolution && !head.revertOf
+      && head.user === entry.user && head.op.coll === op.coll && head.op.id === op.id
+      && Date.parse(entry.ts) - Date.parse(head.ts) < 5000;
+    const changelog = fold
+      ? [{ ...entry, op: { ...op, patch: { ...head.op.patch, ...op.patch } }, before: head.before, folded: [...(head.folded || []), head.id] }, ...cur.changelog.slice(1)]
+      : [entry, ...cur.changelog];
+    return { ...next, changelog };
+  });
+
+  // every mutation goes through the permission rules; changes that need approval are parked in db.approvals
+  const commit = (action, op, by = user, extra = {}) => {
+    const check = checkOp(db, by, op);
+    if (!check.ok) { alert(check.reason); return false; }
+    if (!check.approval) {
+      record(action, op, by, extra);
+      if (!extra.revertOf && !extra.redoOf) setRedo([]);
+      return true;
+    }
+    const open = op.kind === "update" && (db.approvals || []).find((a) => a.status === "pending" && a.by === by && a.op.kind === "update" && a.op.coll === op.coll && a.op.id === op.id);
+    if (open) { record("amend_request", { kind: "update", coll: "approvals", id: open.id, patch: { op: { ...open.op, patch: { ...open.op.patch, ...op.patch } } } }, by); return false; }
+    const who = approversFor(db, by).map((m) => m.name).join(" or ");
+    if (!confirm(`${check.approval} needs approval from ${who}. Send the request?`)) return false;
+    record("request_approval", { kind: "add", coll: "approvals", row: { id: uid(), ts: new Date().toISOString(), by, action, op, status: "pending" } }, by);
+    return false;
+  };
+
+  // --------------- Undo / Redo ---------------
+  // undo walks back through this session's own entries; redo re-applies what was undone until something new is done
+  const [redo, setRedo] = useState([]);
+  const reverted = useMemo(() => new Set(db.changelog.map((e) => e.revertOf).filter(Boolean)), [db.changelog]);
+  const canRevert = (e) => !!inverseOf(e) && !reverted.has(e.id) && e.op?.coll !== "approvals";
+  const undoable = db.changelog.find((e) => e.user === user && e.ts >= sessionStart.current && !e.revertOf && canRevert(e));
+
+  const revertEntry = (e, extra = {}) => {
+    const inv = inverseOf(e);
+    if (!inv) return false;
+    if (e.op.kind === "update") {
+      const row = getColl(db, e.op.coll).find((r) => r.id === e.op.id);
+      if (!row) { alert("That row no longer exists."); return false; }
+      const changed = Object.keys(e.op.patch).filter((k) => !sameValue(row[k], e.after?.[k]));
+      if (changed.length && !confirm(`${changed.join(", ")} changed again since then. Revert anyway?`)) return false;
+    }
+    return commit(`revert_${e.action}`, inv, user, { revertOf: e.id, ...extra });
+  };
+  const undo = () => { if (undoable && revertEntry(undoable)) setRedo((r) => [undoable, ...r]); };
+  const redoLast = () => {
+    const [e, ...rest] = redo;
+    if (e && commit(e.action, e.op, user, { redoOf: e.id })) setRedo(rest);
+  };
+
+  const decideApproval = (req, approved) => {
+    record(approved ? "approve_change" : req.by === user ? "withdraw_request" : "reject_change", { kind: "update", coll: "approvals", id: req.id, patch: { status: approved ? "approved" : "rejected", decidedBy: user, decidedTs: new Date().toISOString() } });
+    if (approved) record(req.action, req.op, req.by);
+  };
+
+  const addClient = (name) => commit("add_client", { kind: "add", coll: "clients", row: { id: `c-${uid()}`, name } });
+  const updateClient = (id, patch) => commit("update_client", { kind: "update", coll: "clients", id, patch });
+  const updateInvoiceTemplate = (patch) => commit("update_invoice_template", { kind: "meta", patch: { invoiceTemplate: { ...db.meta.invoiceTemplate, ...patch } } });
+
+  const addMember = (name) => commit("add_member", { kind: "add", coll: "members", row: { id: `m-${uid()}`, name, active: true, role: "member" } });
+  const updateMember = (id, patch) => commit("update_member", { kind: "update", coll: "members", id, patch });
+  const setMemberPin = async (id, pin) => commit("set_pin", { kind: "update", coll: "members", id, patch: { pin: await hashPin(pin) } }, id);
+  const invitePin = async (id, pin) => commit("invite_pin", { kind: "update", coll: "members", id, patch: { pin: { ...(await hashPin(pin)), temporary: true } } });
+
+  const addCurrency = (code) => commit("add_currency", { kind: "add", coll: "currencies", row: { id: code, code, symbol: `${code} `, decimals: 2, usdRate: 0 } });
+  const updateCurrency = (code, patch) => commit("update_currency", { kind: "update", coll: "currencies", id: code, patch });
+  const addCategory = (name) => commit("add_category", { kind: "add", coll: "categories", row: { id: `cat-${uid()}`, name, parentId: null, budget: null } });
+  const updateCategory = (id, patch) => commit("update_category", { kind: "update", coll: "categories", id, patch });
+  const removeCategory = (id) => commit("remove_category", { kind: "remove", coll: "categories", id });
+  const addTaxRule = (name) => commit("add_tax_rule", { kind: "add", coll: "taxRules", row: { id: `tr-${uid()}`, name, kind: "tax", type: "percent", value: 0, stage: "after", bearer: "split" } });
+  const updateTaxRule = (id, patch) => commit("update_tax_rule", { kind: "update", coll: "taxRules", id, patch });
+  const removeTaxRule = (id) => commit("remove_tax_rule", { kind: "remove", coll: "taxRules", id });
+  const updateSettings = (patch) => commit("update_settings", { kind: "settings", patch });
+
+  const addFxRates = (rows) => {
+    const key = (e) => `${e.date}|${e.base}|${e.quote}|${e.source}`;
+    const existing = new Set(db.fxTable.map(key));
+    const fresh = rows.filter((e) => !existing.has(key(e)) && existing.add(key(e)));
+    if (fresh.length) commit("import_fx_rates", { kind: "addMany", coll: "fxTable", rows: fresh });
+    const sources = [...new Set([...db.settings.fxSources, ...fresh.map((e) => e.source)])];
+    if (sources.length > db.settings.fxSources.length) updateSettings({ fxSources: sources });
+    return fresh.length;
+  };
+  const removeFxRate = (id) => commit("remove_fx_rate", { kind: "remove", coll: "fxTable", id });
+  const importFxCSV = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { rows, errors } = fxRowsFromCSV(String(reader.result), db);
+      const added = addFxRates(rows);
+      alert(`Imported ${added} rate(s)${rows.length - added ? `, ${rows.length - added} already in the table` : ""}${errors.length ? `, ${errors.length} line(s) skipped` : ""}.`);
+    };
+    reader.readAsText(file);
+  };
+  const defaultMember = () => user || activeMembers(db)[0]?.id;
+  const readOnly = isReadOnly(db, user) || !!past;
 
   const addInvoice = () => {
     const row = {
-      id: uid(), date: todayISO(), clientId: curClientId(db), invoiceNo: `INV-${Math.floor(Math.random()*900+100)}`,
+      id: uid(), date: todayISO(), clientId: curClientId(db), invoiceNo: nextInvoiceNo(db),
       currency: "USD", amount: 0, fxRate: 0,
-      createdBy: user || "Debi",
+      createdBy: defaultMember(),
+      status: "draft", dueDate: null, payments: [], tags: [],
       adjustments: [],
-      split: { mode: "percent", debi: 50, bocha: 50 },
+      split: equalSplit(activeMembers(db).map((m) => m.id)),
       notes: "",
     };
-    setDb((cur) => ({ ...cur, invoices: [row, ...cur.invoices] }));
-    log("add_invoice", { id: row.id });
+    commit("add_invoice", { kind: "add", coll: "invoices", row });
   };
 
   const addExpense = () => {
     const row = {
       id: uid(), date: todayISO(), description: "",
       currency: "USD", amount: 0, fxRate: 0,
-      paidBy: user || "Debi",
+      paidBy: defaultMember(),
+      categoryId: null,
       adjustments: [],
-      split: { mode: "percent", debi: 50, bocha: 50 },
+      split: equalSplit(activeMembers(db).map((m) => m.id)),
     };
-    setDb((cur) => ({ ...cur, expenses: [row, ...cur.expenses] }));
-    log("add_expense", { id: row.id });
+    commit("add_expense", { kind: "add", coll: "expenses", row });
   };
 
-  const updateRow = (type, id, patch) => setDb((cur) => {
-    const key = type === "invoice" ? "invoices" : "expenses";
-    const rows = cur[key].map((r) => r.id === id ? { ...r, ...patch } : r);
-    return { ...cur, [key]: rows };
-  });
+  // "Settle up" pre-fills one of the outstanding transfers (the logged-in member's first, if any)
+  const addSettlement = (transfer = balances.transfers.find((t) => t.from === user || t.to === user) || balances.transfers[0]) => {
+    if (!transfer) return;
+    const { cur, fromUsd } = money;
+    const row = {
+      id: uid(), date: todayISO(),
+      from: transfer.from, to: transfer.to,
+      currency: cur.code, amount: Math.round(fromUsd(transfer.usd) * 10 ** cur.decimals) / 10 ** cur.decimals,
+      fxRate: cur.code === "USD" ? 0 : cur.usdRate, fxBase: "USD",
+      method: "Bank transfer", note: "",
+    };
+    commit("add_settlement", { kind: "add", coll: "settlements", row });
+  };
 
-  const removeRow = (type, id) => setDb((cur) => {
-    const key = type === "invoice" ? "invoices" : "expenses";
-    return { ...cur, [key]: cur[key].filter((r) => r.id !== id) };
-  });
+  const collOf = (type) => ({ invoice: "invoices", expense: "expenses", settlement: "settlements" })[type];
+  // changing what a rate depends on re-fills fxRate from the table (unless the rate itself is being typed)
+  const updateRow = (type, id, patch) => {
+    const row = getColl(db, collOf(type)).find((r) => r.id === id);
+    const refill = row && !("fxRate" in patch) && ["date", "currency", "fxBase", "fxSource"].some((k) => k in patch);
+    const table = refill && tableRateFor(db, { ...row, ...patch });
+    commit(`update_${type}`, { kind: "update", coll: collOf(type), id, patch: table ? { ...patch, fxRate: table.rate } : patch });
+  };
+  const makeRecurring = (type, row) => {
+    const rec = recurringFrom(collOf(type), row, user);
+    if (commit("add_recurring", { kind: "add", coll: "recurring", row: rec })) alert(`This ${type} now repeats monthly on day ${rec.day}; adjust it under Recurring.`);
+  };
+  const updateRecurring = (id, patch) => commit("update_recurring", { kind: "update", coll: "recurring", id, patch });
+  const removeRecurring = (id) => confirm("Stop and delete this recurring template? Rows it already generated stay.") && commit("remove_recurring", { kind: "remove", coll: "recurring", id });
+
+  // once per login, fill in every occurrence the member's templates owe up to today; logged as generate_recurring.
+  // Each template is committed on its own and only moves lastRun once its rows went in: a batch the rules reject,
+  // park for approval or that the user declines is offered again on the next login.
+  const generatedFor = useRef(null);
+  useEffect(() => {
+    if (!ready || locked || !user || generatedFor.current === user || isReadOnly(db, user)) return;
+    generatedFor.current = user;
+    generateRecurring(db, todayISO(), (rec) => ownsTemplate(db, user, rec)).forEach(({ rec, rows, lastRun }) => {
+      if (rows.length && !commit("generate_recurring", { kind: "addMany", coll: rec.coll, rows })) return;
+      commit("generate_recurring", { kind: "update", coll: "recurring", id: rec.id, patch: { lastRun } });
+    });
+  }, [ready, locked, user]);
+
+  const removeRow = (type, id) => {
+    if (!confirm(`Delete this ${type}? It can be restored with Undo or from the changelog.`)) return;
+    commit(`remove_${type}`, { kind: "remove", coll: collOf(type), id });
+  };
+
+  // settle a sync conflict by recording the chosen value as a resolution op
+  const resolveConflict = (c, value) => {
+    commit("resolve_conflict", { kind: "update", coll: c.coll, id: c.rowId, patch: { [c.field]: value }, resolution: true });
+    setDb((cur) => ({ ...cur, conflicts: (cur.conflicts || []).filter((x) => x.id !== c.id) }));
+  };
 
-  const setLogo = async (file) => {
+  const setLogo = (file) => {
+    if (readOnly) return;
     const reader = new FileReader();
-    reader.onload = () => setDb((cur) => ({ ...cur, meta: { ...cur.meta, logoDataUrl: reader.result } }));
+    reader.onload = () => {
+      const dataUrl = String(reader.result);
+      if (commit("set_logo", { kind: "meta", patch: { logoHash: logoHashOf(dataUrl) } })) setDb((cur) => ({ ...cur, meta: { ...cur.meta, logoDataUrl: dataUrl } }));
+    };
     reader.readAsDataURL(file);
   };
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(db, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `income-debt-tracker-${new Date().toISOString().slice(0,10)}.json`; a.click();
-    URL.revokeObjectURL(url);
+  // CSV / pasted spreadsheet rows: the wizard builds the rows, the import is one revertible changelog entry
+  const [csvText, setCsvText] = useState(null);
+  const openCSV = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => setCsvText(String(reader.result));
+    reader.readAsText(file);
   };
-  const importJSON = (file) => {
+  const importCSVRows = (coll, rows) => {
+    if (commit(`import_csv_${coll}`, { kind: "addMany", coll, rows })) {
+      alert(`Imported ${rows.length} ${COLL_LABELS[coll].toLowerCase()}(s). Revert the changelog entry to undo the whole import.`);
+      setCsvText(null);
+    }
+  };
+
+  // Bank statements: the import and its automatic matches are one changelog entry, so reverting it undoes both
+  const importStatement = (file) => {
     const reader = new FileReader();
     reader.onload = () => {
-      try { const data = JSON.parse(reader.result); setDb(data); } catch (e) { alert("Invalid JSON"); }
+      const text = String(reader.result);
+      const ofx = /<OFX>|<STMTTRN>/i.test(text);
+      const currency = ofx ? "USD" : prompt("Currency of this statement (used when the file has no currency column):", view.settings.reportingCurrency);
+      if (!currency) return;
+      const { txns, errors } = (ofx ? statementFromOFX : statementFromCSV)(text, { account: file.name.replace(/\.[^.]+$/, ""), currency: currency.toUpperCase() });
+      const known = new Set(db.bankTxns.map(txnKey));
+      const fresh = autoMatch(db, txns.filter((t) => !known.has(txnKey(t)) && known.add(txnKey(t))), money.rates);
+      if (fresh.length) commit("import_statement", { kind: "addMany", coll: "bankTxns", rows: fresh });
+      alert(`Imported ${fresh.length} transaction(s), ${fresh.filter((t) => t.match).length} matched${txns.length - fresh.length ? `, ${txns.length - fresh.length} already imported` : ""}${errors.length ? `, ${errors.length} line(s) skipped` : ""}.`);
+    };
+    reader.readAsText(file);
+  };
+  const matchTxn = (id, match) => commit(match ? "match_bank_txn" : "unmatch_bank_txn", { kind: "update", coll: "bankTxns", id, patch: { match } });
+  const ignoreTxn = (id, ignored) => commit(ignored ? "ignore_bank_txn" : "restore_bank_txn", { kind: "update", coll: "bankTxns", id, patch: { ignored } });
+  const autoMatchPending = () => {
+    const found = autoMatch(db, db.bankTxns.filter((t) => !t.match && !t.ignored), money.rates).filter((t) => t.match);
+    found.forEach((t) => matchTxn(t.id, t.match));
+    if (!found.length) alert("No new matches. Widen the date window or match by hand.");
+  };
+  const txnToExpense = (txn) => {
+    const row = expenseFromTxn(db, txn, defaultMember());
+    if (commit("add_expense_from_bank", { kind: "add", coll: "expenses", row })) matchTxn(txn.id, { coll: "expenses", id: row.id });
+  };
+
+  const exportJSON = async () => {
+    const doc = vault ? await encryptJSON(db, vault) : db;
+    downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }), `income-debt-tracker-${new Date().toISOString().slice(0,10)}${vault ? ".encrypted" : ""}.json`);
+  };
+  // exports follow the dashboard filters (and the as-of view), not the whole database
+  const exportName = (ext) => `income-debt-tracker-${flt.period}${flt.clientId !== "all" ? `-${view.meta.clients.find((c) => c.id === flt.clientId)?.name || flt.clientId}` : ""}-${asOf || todayISO()}.${ext}`;
+  const exportCSV = (name) => {
+    const sheet = exportSheets(view, money.rates, matchesFilters).find((s) => s.name === name);
+    downloadBlob(new Blob([toCSV(sheet.rows)], { type: "text/csv;charset=utf-8" }), exportName(`${name.toLowerCase()}.csv`));
+  };
+  const exportXLSX = () => downloadBlob(xlsxBlob(exportSheets(view, money.rates, matchesFilters)), exportName("xlsx"));
+  const importJSON = (file) => {
+    if (readOnly) { alert("Read-only access cannot import data."); return; }
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let data, issues;
+      try {
+        let doc = JSON.parse(reader.result);
+        if (isEncrypted(doc)) {
+          const passphrase = prompt("This file is encrypted. Passphrase:");
+          if (!passphrase) return;
+          doc = await decryptJSON(doc, await openVault(passphrase, doc.salt, doc.iterations));
+        }
+        ({ db: data, issues } = migrateDB(doc));
+      } catch (e) { alert(e instanceof SyntaxError ? "Invalid JSON" : e.message); return; }
+      if (issues.length && !confirm(`The file needed ${issues.length} repair(s):\n\n${issues.slice(0, 10).join("\n")}${issues.length > 10 ? "\n…" : ""}\n\nImport anyway?`)) return;
+      if (data.changelog?.some((e) => e.op)) {
+        const { db: merged, conflicts } = mergeRemote(db, data);
+        setDb(merged);
+        log("import_merge", { file: file.name });
+        if (conflicts.length) alert(`Merged with ${conflicts.length} conflicting edit(s) to resolve.`);
+      } else if (confirm("This file has no replayable history. Replace the current ledger with it?")) {
+        setDb(data);
+        log("import_replace", { file: file.name });
+      }
     };
     reader.readAsText(file);
   };
@@ -277,27 +2369,17 @@ export default function App() {
   const curClientId = (db) => (db.meta.clients[0]?.id || "");
 
   // ----------------------------- UI -----------------------------
+  if (locked) return <UnlockGate onUnlock={unlock} />;
+
   if (!user) return (
-    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
-      <div className="bg-white w-full max-w-md p-6 rounded-2xl shadow">
-        <div className="text-center">
-          <div className="text-2xl font-semibold mb-1">Income & Debt Tracker</div>
-          <div className="text-gray-500 mb-6">Debi & Bocha — enter PIN to continue</div>
-        </div>
-        <div className="space-y-3">
-          <select className="w-full border rounded-xl p-3" defaultValue="Debi" onChange={(e)=>setUser(e.target.value)}>
-            <option>Debi</option>
-            <option>Bocha</option>
-          </select>
-          <input className="w-full border rounded-xl p-3" value={pin} onChange={(e)=>setPin(e.target.value)} placeholder="PIN (try 1234)"/>
-          <button className="w-full rounded-xl p-3 bg-black text-white" onClick={()=> pin === "1234" ? setUser((p)=> p || "Debi") : alert("Wrong PIN")}>Enter</button>
-        </div>
-      </div>
-    </div>
+    <LoginGate db={db} onLogin={login} onSetPin={setMemberPin} onLockout={(id)=>log("login_locked", { id }, id)} />
   );
 
-  const memberColor = (name) => name === "Debi" ? "text-indigo-600" : "text-emerald-600";
-  const debtLabel = debt > 0 ? `Bocha owes Debi ${fmtUSD(Math.abs(debt))}` : debt < 0 ? `Debi owes Bocha ${fmtUSD(Math.abs(debt))}` : "Even";
+  const debtLabel = balances.transfers.length ? (
+    <div className="space-y-0.5 text-base">
+      {balances.transfers.map((t) => <div key={`${t.from}>${t.to}`}>{memberName(view, t.from)} owes {memberName(view, t.to)} {money.fmt(t.usd)}</div>)}
+    </div>
+  ) : "Even";
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -305,9 +2387,9 @@ export default function App() {
       <div className="sticky top-0 z-10 bg-white/80 backdrop-blur border-b">
         <div className="max-w-6xl mx-auto flex items-center justify-between p-3 gap-4">
           <div className="flex items-center gap-3">
-            <button className="flex items-center gap-3 group" onClick={() => fileInputRef.current?.click()} title="Click to upload logo (600x100 PNG)">
-              {db.meta.logoDataUrl ? (
-                <img src={db.meta.logoDataUrl} alt="logo" className="h-8 object-contain"/>
+            <button className="flex items-center gap-3 group" disabled={readOnly} onClick={() => fileInputRef.current?.click()} title="Click to upload logo (600x100 PNG)">
+              {view.meta.logoDataUrl ? (
+                <img src={view.meta.logoDataUrl} alt="logo" className="h-8 object-contain"/>
               ) : (
                 <div className="h-8 w-32 bg-gray-100 rounded flex items-center justify-center text-gray-400 text-xs">Upload Logo</div>
               )}
@@ -316,13 +2398,51 @@ export default function App() {
             <div className="font-semibold">Income & Debt Tracker</div>
           </div>
           <div className="flex items-center gap-2">
-            <span className={`text-sm font-medium ${memberColor(user)}`}>Logged in: {user}</span>
-            <button className="text-sm px-3 py-1 rounded-xl border" onClick={()=>setUser(null)}>Logout</button>
+            <select className="text-sm border rounded-xl px-2 py-1" disabled={readOnly} value={money.cur.code} onChange={(e)=>updateSettings({ reportingCurrency: e.target.value })} title="Reporting currency">
+              {view.meta.currencies.filter((c) => c.code === "USD" || c.usdRate > 0).map((c) => <option key={c.code}>{c.code}</option>)}
+            </select>
+            <span className={`text-sm font-medium ${memberColor(view, user)}`}>Logged in: {memberName(view, user)}{readOnly && " (read-only)"}</span>
+            <button className="text-sm px-3 py-1 rounded-xl border disabled:opacity-40" disabled={readOnly || !undoable} onClick={undo} title={undoable ? `Undo ${undoable.action}` : "Nothing to undo"}>Undo</button>
+            <button className="text-sm px-3 py-1 rounded-xl border disabled:opacity-40" disabled={readOnly || !redo.length} onClick={redoLast} title={redo.length ? `Redo ${redo[0].action}` : "Nothing to redo"}>Redo</button>
+            <button className="text-sm px-3 py-1 rounded-xl border" onClick={()=>logout()}>Logout</button>
           </div>
         </div>
       </div>
 
       <div className="max-w-6xl mx-auto p-4 space-y-6">
+        {unreadable && (
+          <div className="flex items-center justify-between gap-2 rounded-2xl border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+            <div>
+              <span className="font-medium">The stored data could not be loaded:</span> {unreadable}. Nothing is saved until it can be read,
+              so the stored copy stays as it was; open it with the app version that wrote it, or discard it.
+            </div>
+            <button className="border rounded-xl px-3 py-1 bg-white" onClick={discardStored}>Discard stored copy</button>
+          </div>
+        )}
+
+        {repairs.length > 0 && (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-medium">The stored data needed {repairs.length} repair(s) when it was loaded</span>
+              <button className="border rounded-xl px-3 py-1 bg-white" onClick={()=>setRepairs([])}>Dismiss</button>
+            </div>
+            <ul className="mt-1 list-disc pl-5">
+              {repairs.slice(0, 20).map((issue, i) => <li key={i}>{issue}</li>)}
+              {repairs.length > 20 && <li>…and {repairs.length - 20} more</li>}
+            </ul>
+          </div>
+        )}
+
+        {past && (
+          <div className="flex items-center justify-between gap-2 rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm">
+            <div>
+              Viewing the ledger as of <span className="font-medium">{asOf}</span> (read-only).
+              {past.incomplete && " Some older changes have no snapshot, so this view may still include them."}
+            </div>
+            <button className="border rounded-xl px-3 py-1 bg-white" onClick={()=>setAsOf("")}>Back to today</button>
+          </div>
+        )}
+
         {/* Filters & Actions */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
           <select className="border rounded-2xl p-3" value={flt.period} onChange={(e)=>setFlt({...flt, period: e.target.value})}>
@@ -333,114 +2453,808 @@ export default function App() {
           </select>
           <select className="border rounded-2xl p-3" value={flt.clientId} onChange={(e)=>setFlt({...flt, clientId: e.target.value})}>
             <option value="all">All clients</option>
-            {db.meta.clients.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            {view.meta.clients.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
           </select>
           <select className="border rounded-2xl p-3" value={flt.creator} onChange={(e)=>setFlt({...flt, creator: e.target.value})}>
             <option value="all">Created by (any)</option>
-            <option value="Debi">Debi</option>
-            <option value="Bocha">Bocha</option>
+            {view.meta.members.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
           </select>
           <div className="flex gap-2">
-            <button className="flex-1 border rounded-2xl p-3" onClick={addInvoice}>+ Invoice</button>
-            <button className="flex-1 border rounded-2xl p-3" onClick={addExpense}>+ Expense</button>
+            <button className="flex-1 border rounded-2xl p-3 disabled:opacity-40" disabled={readOnly} onClick={addInvoice}>+ Invoice</button>
+            <button className="flex-1 border rounded-2xl p-3 disabled:opacity-40" disabled={readOnly} onClick={addExpense}>+ Expense</button>
           </div>
         </div>
 
+        {csvText !== null && !readOnly && (
+          <Section title="Import CSV" action={<button className="text-sm text-gray-500" onClick={()=>setCsvText(null)}>Close</button>}>
+            <CsvImport db={db} user={user} text={csvText} onText={setCsvText} onImport={importCSVRows} />
+          </Section>
+        )}
+
         {/* Summary cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
-          <Card title="Total Income" value={fmtUSD(totals.incomeUSD)} />
-          <Card title={`${user}'s Share`} value={fmtUSD(totals.yourShare)} />
-          <Card title="Partner's Share" value={fmtUSD(totals.partnerShare)} />
+          <Card title="Total Income" value={money.fmt(totals.incomeUSD)} />
+          <Card title={`${memberName(view, user)}'s Share`} value={money.fmt(totals.yourShare)} />
+          <Card title="Partners' Share" value={money.fmt(totals.partnerShare)} />
           <Card title="Current Debt" value={debtLabel} highlight />
         </div>
 
+        {budgets.rows.some((b) => b.over) && (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+            <span className="font-medium">Over budget:</span>{" "}
+            {budgets.rows.filter((b) => b.over).map((b) => `${b.cat.name} ${Math.round(b.actual / b.budget * 100)}% (${money.fmt(b.actual)} of ${money.fmt(b.budget)})`).join(" · ")}
+          </div>
+        )}
+
+        {splitWarnings.length > 0 && (
+          <div className="rounded-2xl border border-red-200 bg-red-50 p-3 text-sm">
+            <div className="font-medium text-red-700">{splitWarnings.length} row(s) with a split that doesn't match the net</div>
+            <ul className="mt-1 list-disc pl-5 text-red-700">
+              {splitWarnings.map(({ coll, row, issues }) => (
+                <li key={row.id}>{COLL_LABELS[coll]} {row.invoiceNo || row.description || row.id} ({row.date}): {issues.join("; ")}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Chart */}
         <div className="bg-white rounded-2xl p-4 shadow-sm border">
-          <div className="font-medium mb-2">Balance by Month</div>
+          <div className="font-medium mb-2">Balance by Month ({money.cur.code})</div>
           <MiniLineChart data={monthly} height={140} />
         </div>
 
+        {/* Sync conflicts */}
+        {(view.conflicts || []).length > 0 && (
+          <Section title="Sync conflicts">
+            <Conflicts db={view} onResolve={resolveConflict} />
+          </Section>
+        )}
+
+        {/* Changes waiting for approval */}
+        {(view.approvals || []).some((a) => a.status === "pending") && (
+          <Section title="Pending approvals">
+            <Approvals db={view} user={user} onDecide={decideApproval} />
+          </Section>
+        )}
+
         {/* Invoices */}
-        <Section title="Invoices">
-          <TableInvoices db={db} setDb={setDb} updateRow={updateRow} removeRow={removeRow} matchesFilters={matchesFilters} />
+        <Section title="Invoices" action={<button className="text-sm text-gray-500 underline" onClick={()=>exportCSV("Invoices")}>Export CSV</button>}>
+          <fieldset disabled={readOnly}>
+            <TableInvoices db={view} user={user} money={money} setDb={setDb} updateRow={updateRow} removeRow={removeRow} makeRecurring={makeRecurring} matchesFilters={matchesFilters} />
+          </fieldset>
         </Section>
 
         {/* Expenses */}
-        <Section title="Common Expenses">
-          <TableExpenses db={db} setDb={setDb} updateRow={updateRow} removeRow={removeRow} matchesFilters={matchesFilters} />
+        <Section title="Common Expenses" action={<button className="text-sm text-gray-500 underline" onClick={()=>exportCSV("Expenses")}>Export CSV</button>}>
+          <fieldset disabled={readOnly}>
+            <TableExpenses db={view} user={user} money={money} setDb={setDb} updateRow={updateRow} removeRow={removeRow} makeRecurring={makeRecurring} matchesFilters={matchesFilters} />
+          </fieldset>
+        </Section>
+
+        {/* Recurring templates */}
+        <Section title="Recurring">
+          <fieldset disabled={readOnly}>
+            <Recurring db={view} user={user} money={money} onUpdate={updateRecurring} onRemove={removeRecurring} />
+          </fieldset>
+        </Section>
+
+        {/* Bank statements */}
+        <Section title="Bank reconciliation" action={
+          <label className={`border rounded-xl px-3 py-1 text-sm ${readOnly ? "opacity-40" : "cursor-pointer"}`}>
+            Import statement
+            <input type="file" accept=".csv,.ofx,.qfx,.txt,text/csv" className="hidden" disabled={readOnly} onChange={(e)=> { e.target.files?.[0] && importStatement(e.target.files[0]); e.target.value = ""; }}/>
+          </label>
+        }>
+          <fieldset disabled={readOnly}>
+            <BankReconciliation db={view} money={money} onMatch={matchTxn} onIgnore={ignoreTxn} onToExpense={txnToExpense} onAutoMatch={autoMatchPending} onSettings={updateSettings} />
+          </fieldset>
+        </Section>
+
+        {/* Budgets */}
+        <Section title={`Budget vs actual (${budgets.months} month${budgets.months === 1 ? "" : "s"})`}>
+          <BudgetReport report={budgets} money={money} />
+        </Section>
+
+        {/* Taxes */}
+        <Section title="Tax report">
+          <TaxReport db={view} money={money} matchesFilters={matchesFilters} />
+        </Section>
+
+        {/* Receivables */}
+        <Section title="Accounts receivable aging">
+          <AgingReport db={view} money={money} />
+        </Section>
+
+        {/* Balances */}
+        <Section title="Balances" action={
+          <select className="border rounded-xl px-2 py-1 text-sm" disabled={readOnly} value={view.settings.debtBasis} onChange={(e)=>updateSettings({ debtBasis: e.target.value })} title="Which invoice amounts create partner debt">
+            <option value="invoiced">Debt on invoiced amounts</option>
+            <option value="collected">Debt on collected amounts only</option>
+          </select>
+        }>
+          <Balances db={view} balances={balances} money={money} onSettle={addSettlement} />
+        </Section>
+
+        {/* Settlements */}
+        <Section title="Settlements" action={<button className="border rounded-xl px-3 py-1 text-sm disabled:opacity-40" disabled={readOnly || !balances.transfers.length} onClick={()=>addSettlement()}>Settle up</button>}>
+          <fieldset disabled={readOnly}>
+            <TableSettlements db={view} user={user} money={money} updateRow={updateRow} removeRow={removeRow} matchesFilters={matchesFilters} />
+          </fieldset>
         </Section>
 
-        {/* Clients & Data */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {/* FX rates */}
+        <Section title="FX rate table" action={
+          <label className={`border rounded-xl px-3 py-1 text-sm ${readOnly ? "opacity-40" : "cursor-pointer"}`}>
+            Import CSV
+            <input type="file" accept=".csv,text/csv" className="hidden" disabled={readOnly} onChange={(e)=> { e.target.files?.[0] && importFxCSV(e.target.files[0]); e.target.value = ""; }}/>
+          </label>
+        }>
+          <fieldset disabled={readOnly}>
+            <FxTable db={view} onAdd={(row)=>addFxRates([row])} onRemove={removeFxRate} onSettings={updateSettings} />
+          </fieldset>
+        </Section>
+
+        {/* Clients, Members & Data */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
           <div className="bg-white rounded-2xl p-4 shadow-sm border">
             <div className="font-medium mb-2">Clients</div>
             <div className="space-y-2">
-              {db.meta.clients.map(c => (
-                <div key={c.id} className="flex items-center justify-between border rounded-xl p-2">
-                  <div>{c.name}</div>
-                </div>
+              {view.meta.clients.map(c => (
+                <details key={c.id} className="border rounded-xl p-2">
+                  <summary className="cursor-pointer">{c.name}</summary>
+                  <TemplateEditor template={c.template || {}} fallback={view.meta.invoiceTemplate} disabled={readOnly} onSave={(patch)=>updateClient(c.id, { template: { ...c.template, ...patch } })} />
+                </details>
               ))}
+              <details className="border rounded-xl p-2">
+                <summary className="cursor-pointer text-gray-500">Default invoice template</summary>
+                <TemplateEditor template={view.meta.invoiceTemplate} disabled={readOnly} onSave={(patch)=>updateInvoiceTemplate(patch)} />
+              </details>
+              <details className="border rounded-xl p-2">
+                <summary className="cursor-pointer text-gray-500">Invoice numbering</summary>
+                <NumberingSettings db={view} disabled={readOnly} onChange={(patch)=>updateSettings({ invoiceNumbering: { ...view.settings.invoiceNumbering, ...patch } })} />
+              </details>
             </div>
-            <AddClient onAdd={(name)=> name && addClient(name)} />
+            {!readOnly && <AddClient onAdd={(name)=> name && addClient(name)} />}
+          </div>
+          <div className="bg-white rounded-2xl p-4 shadow-sm border">
+            <div className="font-medium mb-2">Currencies</div>
+            <fieldset disabled={readOnly}><Currencies db={view} onUpdate={updateCurrency} /></fieldset>
+            {!readOnly && <AddClient placeholder="Add currency (e.g. CLP)" onAdd={(code)=> { code = code.toUpperCase(); if (code && !view.meta.currencies.some((c) => c.code === code)) addCurrency(code); }} />}
+          </div>
+          <div className="bg-white rounded-2xl p-4 shadow-sm border">
+            <div className="font-medium mb-2">Expense categories</div>
+            <fieldset disabled={readOnly}><Categories db={view} onUpdate={updateCategory} onRemove={removeCategory} /></fieldset>
+            {!readOnly && <AddClient placeholder="Add category" onAdd={(name)=> name && addCategory(name)} />}
+          </div>
+          <div className="bg-white rounded-2xl p-4 shadow-sm border">
+            <div className="font-medium mb-2">Tax rules</div>
+            <fieldset disabled={readOnly}><TaxRules db={view} onUpdate={updateTaxRule} onRemove={removeTaxRule} /></fieldset>
+            {!readOnly && <AddClient placeholder="Add rule (e.g. Ganancias)" onAdd={(name)=> name && addTaxRule(name)} />}
+          </div>
+          <div className="bg-white rounded-2xl p-4 shadow-sm border">
+            <div className="font-medium mb-2">Members</div>
+            <Members db={view} user={user} readOnly={readOnly} onUpdate={updateMember} onSetPin={setMemberPin} onInvitePin={invitePin} onSettings={updateSettings} />
+            {!readOnly && <AddClient placeholder="Add member" onAdd={(name)=> name && addMember(name)} />}
           </div>
           <div className="bg-white rounded-2xl p-4 shadow-sm border">
             <div className="font-medium mb-2">Data</div>
             <div className="flex gap-2">
               <button className="border rounded-xl px-3 py-2" onClick={exportJSON}>Export JSON</button>
-              <label className="border rounded-xl px-3 py-2 cursor-pointer">
+              <button className="border rounded-xl px-3 py-2" onClick={exportXLSX} title="Invoices, expenses, summary and taxes under the current filters">Export XLSX</button>
+              <label className={`border rounded-xl px-3 py-2 ${readOnly ? "opacity-40" : "cursor-pointer"}`}>
                 Import JSON
-                <input type="file" accept="application/json" className="hidden" onChange={(e)=> e.target.files?.[0] && importJSON(e.target.files[0])}/>
+                <input type="file" accept="application/json" className="hidden" disabled={readOnly} onChange={(e)=> e.target.files?.[0] && importJSON(e.target.files[0])}/>
+              </label>
+            </div>
+            <div className="flex gap-2 mt-2">
+              <label className={`border rounded-xl px-3 py-2 ${readOnly ? "opacity-40" : "cursor-pointer"}`}>
+                Import CSV
+                <input type="file" accept=".csv,.tsv,.txt,text/csv" className="hidden" disabled={readOnly} onChange={(e)=> { e.target.files?.[0] && openCSV(e.target.files[0]); e.target.value = ""; }}/>
               </label>
+              <button className="border rounded-xl px-3 py-2 disabled:opacity-40" disabled={readOnly} onClick={()=>setCsvText("")}>Paste rows</button>
             </div>
             <div className="text-xs text-gray-500 mt-2">Append-only changelog keeps every action for transparency.</div>
+            <EncryptionSettings enabled={!!vault} onChange={setPassphrase} />
+            <StorageSettings cfg={adapterCfg} onChange={setAdapterCfg} storage={storage} label={adapter.label} onSync={adapter.kind !== "local" ? syncNow : null} />
           </div>
           <div className="bg-white rounded-2xl p-4 shadow-sm border">
-            <div className="font-medium mb-2">Changelog (latest)</div>
+            <div className="flex items-center justify-between mb-2 gap-2">
+              <div className="font-medium">Changelog (latest)</div>
+              <input type="date" className="border rounded-lg p-1 text-xs" value={asOf} max={todayISO()} onChange={(e)=>setAsOf(e.target.value)} title="View the ledger as of this date" />
+            </div>
             <div className="h-40 overflow-auto text-sm space-y-2">
               {db.changelog.slice(0,20).map(e => (
-                <div key={e.id} className="flex items-start gap-2">
+                <div key={e.id} className={`flex items-start gap-2 ${reverted.has(e.id) ? "opacity-50" : ""}`}>
                   <div className="text-gray-400 text-xs w-32 shrink-0">{new Date(e.ts).toLocaleString()}</div>
-                  <div><span className="font-medium">{e.user}</span> {e.action}</div>
+                  <div className="flex-1 min-w-0"><span className="font-medium">{memberName(db, e.user)}</span> {e.action}</div>
+                  {!readOnly && canRevert(e) && <button className="text-xs text-gray-500 underline" onClick={()=>revertEntry(e)}>Revert</button>}
                 </div>
               ))}
             </div>
           </div>
         </div>
 
-        {/* Dev note: DataAdapter placeholder for Google Sheets/DB */}
-        <div className="text-xs text-gray-500">
-          Adapter stub ready: implement load/save methods to sync with Google Sheets without wiping data. We will only append changes to the changelog and apply patch-migrations.
+        {/* Audit log */}
+        <Section title="Audit log">
+          <AuditLog db={db} />
+        </Section>
+
+        {/* Dev note: more backends (Google Sheets, a DB) only need load/save/applyPatch */}
+        <div className="text-xs text-gray-500">
+          Storage goes through a DataAdapter (load/save/applyPatch). Changes are appended to the changelog; stored and imported data is patch-migrated to schema v{SCHEMA_VERSION}.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------- Reusable Bits -----------------------------
+function Card({ title, value, highlight }) {
+  return (
+    <div className={`bg-white rounded-2xl p-4 shadow-sm border ${highlight ? "ring-1 ring-emerald-300" : ""}`}>
+      <div className="text-sm text-gray-500">{title}</div>
+      <div className="text-xl font-semibold mt-1">{value}</div>
+    </div>
+  );
+}
+
+function Section({ title, action, children }) {
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-medium">{title}</div>
+        {action}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function AddClient({ onAdd, placeholder = "Add client" }) {
+  const [name, setName] = useState("");
+  return (
+    <div className="mt-3 flex gap-2">
+      <input className="border rounded-xl p-2 flex-1 min-w-0" placeholder={placeholder} value={name} onChange={(e)=>setName(e.target.value)} />
+      <button className="border rounded-xl px-3" onClick={()=>{ onAdd(name.trim()); setName(""); }}>Add</button>
+    </div>
+  );
+}
+
+function StorageSettings({ cfg, onChange, storage, label, onSync }) {
+  const [url, setUrl] = useState(cfg.url || "");
+  const statusText = {
+    loading: "Loading…",
+    saving: "Saving…",
+    saved: `Saved to ${label}`,
+    locked: "Locked",
+    error: `Error: ${storage.error}`,
+  }[storage.status];
+  return (
+    <div className="mt-3 space-y-2 text-sm">
+      <div className="flex gap-2">
+        <select className="border rounded-xl p-2" value={cfg.kind} onChange={(e)=>onChange({ ...cfg, kind: e.target.value })}>
+          <option value="local">This browser</option>
+          <option value="rest">REST backend</option>
+        </select>
+        {cfg.kind === "rest" && (
+          <>
+            <input className="border rounded-xl p-2 flex-1 min-w-0" placeholder="http://localhost:8787" value={url} onChange={(e)=>setUrl(e.target.value)} />
+            <button className="border rounded-xl px-3" onClick={()=>onChange({ ...cfg, url: url.trim() })}>Connect</button>
+          </>
+        )}
+        {onSync && <button className="border rounded-xl px-3" onClick={onSync}>Sync</button>}
+      </div>
+      <div className={`text-xs ${storage.status === "error" ? "text-red-600" : "text-gray-500"}`}>{statusText}</div>
+    </div>
+  );
+}
+
+function UnlockGate({ onUnlock }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const submit = async () => {
+    setBusy(true);
+    try { await onUnlock(passphrase); } catch (e) { setError(e.message); setBusy(false); }
+  };
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="bg-white w-full max-w-md p-6 rounded-2xl shadow">
+        <div className="text-center">
+          <div className="text-2xl font-semibold mb-1">Income & Debt Tracker</div>
+          <div className="text-gray-500 mb-6">The ledger on this device is encrypted</div>
+        </div>
+        <form className="space-y-3" onSubmit={(e)=>{ e.preventDefault(); submit(); }}>
+          <input type="password" autoComplete="current-password" className="w-full border rounded-xl p-3" value={passphrase} onChange={(e)=>setPassphrase(e.target.value)} placeholder="Passphrase"/>
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button type="submit" className="w-full rounded-xl p-3 bg-black text-white disabled:opacity-50" disabled={busy || !passphrase}>{busy ? "Unlocking…" : "Unlock"}</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function EncryptionSettings({ enabled, onChange }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const enable = async () => {
+    if (passphrase.length < 8) { alert("Use a passphrase of at least 8 characters."); return; }
+    if (passphrase !== repeat) { alert("The passphrases do not match."); return; }
+    await onChange(passphrase);
+    setPassphrase(""); setRepeat("");
+  };
+  if (enabled) return (
+    <div className="mt-3 flex items-center justify-between text-sm">
+      <span className="text-emerald-700">Encrypted at rest (AES-GCM)</span>
+      <button className="border rounded-xl px-3 py-1" onClick={()=> confirm("Store the ledger and exports unencrypted from now on?") && onChange(null)}>Turn off</button>
+    </div>
+  );
+  return (
+    <div className="mt-3 space-y-2 text-sm">
+      <div className="flex gap-2">
+        <input type="password" autoComplete="new-password" className="border rounded-xl p-2 flex-1 min-w-0" placeholder="Passphrase" value={passphrase} onChange={(e)=>setPassphrase(e.target.value)} />
+        <input type="password" autoComplete="new-password" className="border rounded-xl p-2 flex-1 min-w-0" placeholder="Repeat" value={repeat} onChange={(e)=>setRepeat(e.target.value)} />
+      </div>
+      <button className="border rounded-xl px-3 py-1" onClick={enable}>Encrypt storage & exports</button>
+      <div className="text-xs text-gray-500">There is no recovery: without the passphrase the data cannot be opened.</div>
+    </div>
+  );
+}
+
+function LoginGate({ db, onLogin, onSetPin, onLockout }) {
+  const members = activeMembers(db);
+  const [who, setWho] = useState(members[0]?.id);
+  const [pin, setPin] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [choosing, setChoosing] = useState(false); // a temporary PIN was accepted; the member now picks their own
+  const member = members.find((m) => m.id === who);
+  // only while nobody has a PIN can the gate itself set one; later members are invited from inside the app
+  const setup = member && !member.pin && !db.meta.members.some((m) => m.pin);
+  const uninvited = member && !member.pin && !setup;
+  const firstTime = setup || choosing;
+  const inviters = members.filter((m) => m.pin && !m.pin.temporary && m.role !== "accountant").map((m) => m.name).join(" or ");
+
+  const submit = async () => {
+    if (!member || busy) return;
+    const auth = loadAuthState();
+    const state = auth[who] || { failures: 0, lockedUntil: 0 };
+    if (state.lockedUntil > Date.now()) {
+      setError(`Too many failed attempts. Try again in ${Math.ceil((state.lockedUntil - Date.now()) / 60000)} min.`);
+      return;
+    }
+    if (firstTime) {
+      if (!/^\d{4,}$/.test(pin)) { setError("Choose a PIN of at least 4 digits."); return; }
+      if (pin !== repeat) { setError("The PINs do not match."); return; }
+      setBusy(true);
+      await onSetPin(who, pin);
+      setBusy(false);
+      onLogin(who);
+      return;
+    }
+    if (uninvited) return;
+    setBusy(true);
+    const ok = await verifyPin(pin, member.pin);
+    setBusy(false);
+    setPin("");
+    if (ok) {
+      delete auth[who];
+      saveAuthState(auth);
+      if (member.pin.temporary) { setChoosing(true); setError(""); return; }
+      onLogin(who);
+      return;
+    }
+    const failures = state.failures + 1;
+    const locked = failures >= MAX_PIN_FAILURES;
+    auth[who] = { failures: locked ? 0 : failures, lockedUntil: locked ? Date.now() + LOCKOUT_MS : 0 };
+    saveAuthState(auth);
+    if (locked) onLockout(who);
+    setError(locked ? `Too many failed attempts. Locked for ${LOCKOUT_MS / 60000} minutes.` : `Wrong PIN (${MAX_PIN_FAILURES - failures} attempt(s) left).`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="bg-white w-full max-w-md p-6 rounded-2xl shadow">
+        <div className="text-center">
+          <div className="text-2xl font-semibold mb-1">Income & Debt Tracker</div>
+          <div className="text-gray-500 mb-6">{members.map((m) => m.name).join(" & ")} — enter PIN to continue</div>
+        </div>
+        <form className="space-y-3" onSubmit={(e)=>{ e.preventDefault(); submit(); }}>
+          <select className="w-full border rounded-xl p-3" value={who} disabled={choosing} onChange={(e)=>{ setWho(e.target.value); setPin(""); setRepeat(""); setError(""); }}>
+            {members.map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+          </select>
+          {choosing && <div className="text-sm text-gray-500">That was a temporary PIN. Choose your own to continue.</div>}
+          {uninvited
+            ? <div className="text-sm text-gray-500">{member.name} has no PIN yet. {inviters || "A member"} can set a temporary one under Members.</div>
+            : <input type="password" inputMode="numeric" autoComplete="current-password" className="w-full border rounded-xl p-3" value={pin} onChange={(e)=>setPin(e.target.value)} placeholder={firstTime ? "Choose a PIN (4+ digits)" : "PIN"}/>}
+          {firstTime && (
+            <input type="password" inputMode="numeric" autoComplete="new-password" className="w-full border rounded-xl p-3" value={repeat} onChange={(e)=>setRepeat(e.target.value)} placeholder="Repeat PIN"/>
+          )}
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button type="submit" className="w-full rounded-xl p-3 bg-black text-white disabled:opacity-50" disabled={busy || uninvited}>{firstTime ? "Set PIN & enter" : "Enter"}</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function Members({ db, user, readOnly, onUpdate, onSetPin, onInvitePin, onSettings }) {
+  const active = activeMembers(db);
+  const rules = db.settings.permissions || {};
+  const setRules = (patch) => onSettings({ permissions: { ...rules, ...patch } });
+  const [currentPin, setCurrentPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const changePin = async () => {
+    const own = db.meta.members.find((m) => m.id === user)?.pin;
+    if (own && !(await verifyPin(currentPin, own))) { alert("Your current PIN is wrong."); setCurrentPin(""); return; }
+    if (!/^\d{4,}$/.test(newPin)) { alert("Choose a PIN of at least 4 digits."); return; }
+    await onSetPin(user, newPin);
+    setCurrentPin("");
+    setNewPin("");
+  };
+  const invite = (m) => {
+    const pin = prompt(`Temporary PIN for ${m.name} (4+ digits). They choose their own the first time they log in.`);
+    if (pin === null) return;
+    if (!/^\d{4,}$/.test(pin)) { alert("Choose a PIN of at least 4 digits."); return; }
+    onInvitePin(m.id, pin);
+  };
+  return (
+    <div className="space-y-2">
+      {db.meta.members.map(stored => {
+        const pending = pendingFor(db, "members", stored.id);
+        const m = pending ? { ...stored, ...pending.op.patch } : stored; // shown with the change waiting for approval
+        const locked = m.id === user || (m.active !== false && active.length <= 1);
+        // someone has to stay able to edit
+        const lastEditor = m.role !== "accountant" && active.filter((x) => x.role !== "accountant").length <= 1;
+        return (
+          <fieldset key={m.id} disabled={readOnly} className={`flex items-center gap-2 border rounded-xl p-2 ${pending ? "bg-amber-50" : ""}`} title={pending ? `Waiting for approval (requested by ${memberName(db, pending.by)})` : undefined}>
+            <input className={`flex-1 min-w-0 bg-transparent ${memberColor(db, m.id)} ${m.active === false ? "opacity-50" : ""}`} value={m.name} onChange={(e)=>onUpdate(m.id, { name: e.target.value })} />
+            <select className="text-xs border rounded-lg p-1" value={m.role} disabled={lastEditor} onChange={(e)=>onUpdate(m.id, { role: e.target.value })}>
+              <option value="member">Member</option>
+              <option value="accountant">Accountant</option>
+            </select>
+            <label className="text-xs text-gray-500 flex items-center gap-1" title={locked ? "You cannot deactivate yourself or the last active member" : ""}>
+              <input type="checkbox" checked={m.active !== false} disabled={locked} onChange={(e)=>onUpdate(m.id, { active: e.target.checked })} />
+              Active
+            </label>
+            {m.id !== user && (!m.pin || m.pin.temporary) && (
+              <button className="text-xs underline" title={m.pin ? "Invited, has not logged in yet" : "Has no PIN yet"} onClick={()=>invite(m)}>{m.pin ? "Reset invite PIN" : "Set initial PIN"}</button>
+            )}
+          </fieldset>
+        );
+      })}
+      <div className="flex gap-2 text-sm">
+        <input type="password" inputMode="numeric" autoComplete="current-password" className="border rounded-xl p-2 flex-1 min-w-0" placeholder="Current PIN" value={currentPin} onChange={(e)=>setCurrentPin(e.target.value)} />
+        <input type="password" inputMode="numeric" autoComplete="new-password" className="border rounded-xl p-2 flex-1 min-w-0" placeholder="New PIN for you" value={newPin} onChange={(e)=>setNewPin(e.target.value)} />
+        <button className="border rounded-xl px-3" onClick={changePin}>Change PIN</button>
+      </div>
+      <div className="flex items-center gap-2 text-xs text-gray-500">
+        Log out after
+        <input type="number" min="1" className="border rounded-lg p-1 w-14" value={db.settings.sessionTimeoutMin} onChange={(e)=>onSettings({ sessionTimeoutMin: Math.max(1, parseInt(e.target.value||0, 10)) })} />
+        idle minutes
+      </div>
+      <fieldset disabled={readOnly} className="space-y-1 text-xs text-gray-500">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!rules.ownerOnly} onChange={(e)=>setRules({ ownerOnly: e.target.checked })} />
+          Only the creator/payer edits amounts & splits
+        </label>
+        <label className="flex items-center gap-2">
+          Books closed through
+          <input type="month" className="border rounded-lg p-1" value={rules.closedThrough || ""} onChange={(e)=>setRules({ closedThrough: e.target.value || null })} />
+        </label>
+      </fieldset>
+    </div>
+  );
+}
+
+function Approvals({ db, user, onDecide }) {
+  const describe = (op) => {
+    const label = entryLabel(db, { op });
+    if (op.kind === "update" || op.kind === "settings") return `${label}: ${Object.entries(op.patch).map(([k, v]) => `${k} → ${showValue(db, k, v)}`).join(", ")}`;
+    return `${op.kind === "remove" ? "Delete" : "Add"} ${label}`;
+  };
+  const canDecide = (a) => a.by !== user && !isReadOnly(db, user);
+  return (
+    <div className="space-y-2 text-sm">
+      {db.approvals.filter((a) => a.status === "pending").map((a) => (
+        <div key={a.id} className="flex flex-wrap items-center gap-2 border rounded-xl p-2 bg-amber-50">
+          <div className="flex-1 min-w-0">
+            <span className={`font-medium ${memberColor(db, a.by)}`}>{memberName(db, a.by)}</span> · {describe(a.op)}
+            <span className="text-xs text-gray-400 ml-2">{new Date(a.ts).toLocaleString()}</span>
+          </div>
+          {canDecide(a) && <button className="border rounded-lg px-2" onClick={()=>onDecide(a, true)}>Approve</button>}
+          {canDecide(a) && <button className="border rounded-lg px-2" onClick={()=>onDecide(a, false)}>Reject</button>}
+          {a.by === user && <button className="border rounded-lg px-2" onClick={()=>onDecide(a, false)}>Withdraw</button>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Select of active members; keeps showing an inactive member that is already on the row
+function MemberSelect({ db, value, onChange }) {
+  const options = db.meta.members.filter((m) => m.active !== false || m.id === value);
+  return (
+    <select className="border rounded-lg p-1" value={value} onChange={(e)=>onChange(e.target.value)}>
+      {options.map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+    </select>
+  );
+}
+
+// Edits the row's split, or with `line` that line's own split against its share of the row's net
+function SplitEditor({ r, line, db, money, onChange }) {
+  const [autoBalance, setAutoBalance] = useState(true);
+  const { split, net } = splitParts(r, money.rates).parts.find((p) => (line ? p.line?.id === line.id : !p.line));
+  const shares = split.shares || {};
+  const ids = db.meta.members.filter((m) => m.active !== false || shares[m.id] || m.id === split.remainderTo).map((m) => m.id);
+  const usd = line ? applySplit(split, net) : splitUsd(r, money.rates);
+  const issue = splitIssue(split, net);
+  // the last other member absorbs the difference so the split stays at 100% / the net
+  const setShare = (id, v) => {
+    const next = { ...shares, [id]: v };
+    const other = split.mode !== "remainder" && autoBalance && ids.filter((x) => x !== id).at(-1);
+    if (other) next[other] = +((split.mode === "percent" ? 100 : net) - ids.filter((x) => x !== other).reduce((a, x) => a + (next[x] || 0), 0)).toFixed(2);
+    onChange({ ...split, shares: next });
+  };
+  const setMode = (mode) => onChange(mode === "remainder"
+    ? { ...split, mode, remainderTo: split.remainderTo || ids.at(-1), shares: Object.fromEntries(ids.map((id) => [id, +(usd[id] || 0).toFixed(2)])) }
+    : { ...split, mode });
+  return (
+    <div>
+      <div className="flex items-center gap-1">
+        <select className="border rounded-lg p-1 text-xs" value={split.mode} onChange={(e)=>setMode(e.target.value)}>
+          <option value="percent">%</option>
+          <option value="amount">$</option>
+          <option value="remainder">$ + rest</option>
+        </select>
+        {ids.map((id, i) => (
+          <React.Fragment key={id}>
+            {i > 0 && <span>:</span>}
+            {split.mode === "remainder" && id === split.remainderTo
+              ? <span className="border rounded-lg p-1 w-16 text-xs text-gray-500 bg-gray-50" title={`${memberName(db, id)} takes the rest`}>rest</span>
+              : <input type="number" className={`border rounded-lg p-1 w-16 ${issue ? "border-red-400" : ""}`} value={shares[id] ?? 0} onChange={(e)=>setShare(id, parseFloat(e.target.value||0))} title={`${memberName(db, id)} share`}/>}
+          </React.Fragment>
+        ))}
+        {split.mode === "remainder" ? (
+          <select className="border rounded-lg p-1 text-xs" value={split.remainderTo} onChange={(e)=>onChange({ ...split, remainderTo: e.target.value })} title="Who takes the remainder">
+            {ids.map((id) => <option key={id} value={id}>rest → {memberName(db, id)}</option>)}
+          </select>
+        ) : ids.length > 1 && (
+          <label className="text-xs text-gray-500 flex items-center gap-1" title="Editing one share adjusts the last other member to keep the total">
+            <input type="checkbox" checked={autoBalance} onChange={(e)=>setAutoBalance(e.target.checked)} /> balance
+          </label>
+        )}
+        <div className="text-xs text-gray-500 ml-2 whitespace-nowrap">{ids.map((id) => `${memberName(db, id).slice(0, 1)} ${money.fmt(usd[id] || 0)}`).join(" • ")}</div>
+      </div>
+      {issue && <div className="text-xs text-red-600 mt-1">Split {issue}</div>}
+    </div>
+  );
+}
+
+function Balances({ db, balances, money, onSettle }) {
+  const ids = db.meta.members.filter((m) => m.active !== false || Math.abs(balances.net[m.id] || 0) >= 0.005).map((m) => m.id);
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+      <div className="overflow-x-auto">
+        <table className="min-w-full">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="p-2">Owes →</th>
+              {ids.map((id) => <th key={id} className={`p-2 ${memberColor(db, id)}`}>{memberName(db, id)}</th>)}
+              <th className="p-2">Net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ids.map((a) => (
+              <tr key={a} className="border-t">
+                <td className={`p-2 font-medium ${memberColor(db, a)}`}>{memberName(db, a)}</td>
+                {ids.map((b) => {
+                  const v = balances.matrix[a]?.[b] || 0;
+                  return <td key={b} className="p-2">{a === b ? "—" : v > 0.005 ? money.fmt(v) : ""}</td>;
+                })}
+                <td className={`p-2 ${(balances.net[a] || 0) < 0 ? "text-red-600" : ""}`}>{money.fmt(balances.net[a] || 0)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="space-y-2">
+        <div className="text-gray-500">Suggested transfers</div>
+        {balances.transfers.map((t) => (
+          <div key={`${t.from}>${t.to}`} className="flex items-center justify-between border rounded-xl p-2">
+            <div><span className={memberColor(db, t.from)}>{memberName(db, t.from)}</span> pays <span className={memberColor(db, t.to)}>{memberName(db, t.to)}</span> {money.fmt(t.usd)}</div>
+            <button className="border rounded-lg px-2" onClick={()=>onSettle(t)}>Settle</button>
+          </div>
+        ))}
+        {!balances.transfers.length && <div className="text-gray-400">Everyone is even.</div>}
+      </div>
+    </div>
+  );
+}
+
+// Registry editor: symbol, decimals and the reference rate (units per 1 USD) used for bases and reporting
+function Currencies({ db, onUpdate }) {
+  return (
+    <div className="space-y-2 text-sm">
+      {db.meta.currencies.map(c => (
+        <div key={c.code} className="flex items-center gap-1 border rounded-xl p-2">
+          <div className="w-10 font-medium">{c.code}</div>
+          <input className="border rounded-lg p-1 w-12" value={c.symbol} onChange={(e)=>onUpdate(c.code, { symbol: e.target.value })} title="Symbol"/>
+          <input type="number" min="0" max="6" className="border rounded-lg p-1 w-12" value={c.decimals} onChange={(e)=>onUpdate(c.code, { decimals: Math.max(0, Math.min(6, parseInt(e.target.value||0, 10))) })} title="Decimals"/>
+          {c.code === "USD" ? <div className="flex-1 text-xs text-gray-400 text-right">base</div> : (
+            <input type="number" step="0.0001" className={`border rounded-lg p-1 flex-1 min-w-0 ${c.usdRate > 0 ? "" : "border-red-400"}`} value={c.usdRate} onChange={(e)=>onUpdate(c.code, { usdRate: parseFloat(e.target.value||0) })} title={`${c.code} per 1 USD`}/>
+          )}
         </div>
-      </div>
+      ))}
     </div>
   );
 }
 
-// ----------------------------- Reusable Bits -----------------------------
-function Card({ title, value, highlight }) {
+function CurrencySelect({ db, value, onChange, className = "border rounded-lg p-1" }) {
   return (
-    <div className={`bg-white rounded-2xl p-4 shadow-sm border ${highlight ? "ring-1 ring-emerald-300" : ""}`}>
-      <div className="text-sm text-gray-500">{title}</div>
-      <div className="text-xl font-semibold mt-1">{value}</div>
+    <select className={className} value={value} onChange={(e)=>onChange(e.target.value)}>
+      {db.meta.currencies.map((c) => <option key={c.code}>{c.code}</option>)}
+    </select>
+  );
+}
+
+// Per-row rate: units of the row currency per 1 unit of the chosen base, from the chosen source
+function FxInput({ r, db, onChange }) {
+  const base = r.fxBase || "USD";
+  const { status, table } = fxStatus(db, r);
+  const tableText = table ? `Table: ${table.rate} (${table.source}, ${table.date})` : "No table rate for this date/source";
+  const hint = {
+    missing: `Rate missing: this row counts as 0. ${tableText}`,
+    deviates: `Differs from the table by more than ${db.settings.fxDeviationPct}%. ${tableText}`,
+    ok: `${r.currency} per 1 ${base} on the transaction date. ${tableText}`,
+  }[status];
+  return (
+    <div className="flex items-center gap-1">
+      {r.currency === base
+        ? <span className="w-24 text-xs text-gray-400" title="Same currency as the base: no rate needed">—</span>
+        : <input type="number" step="0.0001" className={`border rounded-lg p-1 w-24 ${status === "missing" ? "border-red-400 bg-red-50" : status === "deviates" ? "border-amber-400 bg-amber-50" : ""}`} value={r.fxRate} onChange={(e)=>onChange({ fxRate: parseFloat(e.target.value||0) })} title={hint}/>}
+      <span className="text-xs text-gray-400">/</span>
+      <CurrencySelect db={db} value={base} onChange={(v)=>onChange({ fxBase: v })} className="border rounded-lg p-1 text-xs" />
+      {r.currency !== base && (
+        <select className="border rounded-lg p-1 text-xs" value={rowFxSource(db, r)} onChange={(e)=>onChange({ fxSource: e.target.value })} title="Rate source">
+          {db.settings.fxSources.map((src) => <option key={src}>{src}</option>)}
+        </select>
+      )}
     </div>
   );
 }
 
-function Section({ title, children }) {
+function FxTable({ db, onAdd, onRemove, onSettings }) {
+  const [draft, setDraft] = useState({ date: todayISO(), base: "USD", quote: "ARS", rate: "", source: db.settings.defaultFxSource });
+  const [showAll, setShowAll] = useState(false);
+  const sorted = [...db.fxTable].sort((a, b) => b.date.localeCompare(a.date));
+  const rows = showAll ? sorted : sorted.slice(0, 15);
+  const add = () => {
+    const rate = parseNumber(draft.rate);
+    if (!(rate > 0) || draft.base === draft.quote) return;
+    onAdd({ ...draft, id: uid(), rate });
+    setDraft({ ...draft, rate: "" });
+  };
   return (
-    <div className="bg-white rounded-2xl p-4 shadow-sm border">
-      <div className="font-medium mb-3">{title}</div>
-      {children}
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2 text-gray-500">
+        <span>Default source</span>
+        <select className="border rounded-lg p-1" value={db.settings.defaultFxSource} onChange={(e)=>onSettings({ defaultFxSource: e.target.value })}>
+          {db.settings.fxSources.map((src) => <option key={src}>{src}</option>)}
+        </select>
+        <span className="ml-2">Flag rows off the table by more than</span>
+        <input type="number" className="border rounded-lg p-1 w-16" value={db.settings.fxDeviationPct} onChange={(e)=>onSettings({ fxDeviationPct: parseFloat(e.target.value||0) })}/>
+        <span>%</span>
+        <span className="ml-auto text-xs">CSV columns: date, base, quote, rate, source</span>
+      </div>
+      <div className="flex flex-wrap items-center gap-1">
+        <input type="date" className="border rounded-lg p-1" value={draft.date} onChange={(e)=>setDraft({ ...draft, date: e.target.value })}/>
+        <CurrencySelect db={db} value={draft.base} onChange={(v)=>setDraft({ ...draft, base: v })} />
+        <span className="text-gray-400">→</span>
+        <CurrencySelect db={db} value={draft.quote} onChange={(v)=>setDraft({ ...draft, quote: v })} />
+        <input className="border rounded-lg p-1 w-28" placeholder="Rate" value={draft.rate} onChange={(e)=>setDraft({ ...draft, rate: e.target.value })}/>
+        <input className="border rounded-lg p-1 w-24" list="fx-sources" value={draft.source} onChange={(e)=>setDraft({ ...draft, source: e.target.value })}/>
+        <datalist id="fx-sources">{db.settings.fxSources.map((src) => <option key={src} value={src} />)}</datalist>
+        <button className="border rounded-lg px-2" onClick={add}>Add rate</button>
+      </div>
+      <table className="min-w-full">
+        <thead className="text-left text-gray-500">
+          <tr><th className="p-1">Date</th><th className="p-1">Pair</th><th className="p-1">Rate</th><th className="p-1">Source</th><th className="p-1"></th></tr>
+        </thead>
+        <tbody>
+          {rows.map((e) => (
+            <tr key={e.id} className="border-t">
+              <td className="p-1">{e.date}</td>
+              <td className="p-1">{e.quote} per {e.base}</td>
+              <td className="p-1">{e.rate}</td>
+              <td className="p-1">{e.source}</td>
+              <td className="p-1 text-right"><button className="text-red-600" onClick={()=>onRemove(e.id)}>Delete</button></td>
+            </tr>
+          ))}
+          {!rows.length && <tr><td colSpan={5} className="p-1 text-gray-400">No rates yet. Import a CSV or add one above.</td></tr>}
+        </tbody>
+      </table>
+      {sorted.length > rows.length && <button className="text-xs text-gray-500 underline" onClick={()=>setShowAll(true)}>Show all {sorted.length} rates</button>}
     </div>
   );
 }
 
-function AddClient({ onAdd }) {
-  const [name, setName] = useState("");
+function Conflicts({ db, onResolve }) {
+  const describe = (c) => recordLabel(db, c.coll, getColl(db, c.coll).find((r) => r.id === c.rowId));
+  const show = (c, v) => showValue(db, c.field, v);
   return (
-    <div className="mt-3 flex gap-2">
-      <input className="border rounded-xl p-2 flex-1" placeholder="Add client" value={name} onChange={(e)=>setName(e.target.value)} />
-      <button className="border rounded-xl px-3" onClick={()=>{ onAdd(name.trim()); setName(""); }}>Add</button>
+    <div className="space-y-2 text-sm">
+      {db.conflicts.map((c) => (
+        <div key={c.id} className="flex flex-wrap items-center gap-2 border rounded-xl p-2">
+          <div className="flex-1 min-w-0">
+            <span className="font-medium">{describe(c)}</span> · {c.field}: yours <span className="font-mono">{show(c, c.local)}</span> vs {memberName(db, c.user)}'s <span className="font-mono">{show(c, c.remote)}</span>
+          </div>
+          <button className="border rounded-lg px-2" onClick={()=>onResolve(c, c.local)}>Keep mine</button>
+          <button className="border rounded-lg px-2" onClick={()=>onResolve(c, c.remote)}>Take theirs</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AuditLog({ db }) {
+  const PAGE = 25;
+  const [f, setF] = useState({ user: "all", action: "all", record: "", from: "", to: "" });
+  const [page, setPage] = useState(0);
+  const actions = useMemo(() => [...new Set(db.changelog.map((e) => e.action))].sort(), [db.changelog]);
+  const rows = useMemo(() => {
+    const q = f.record.trim().toLowerCase();
+    const from = f.from && new Date(`${f.from}T00:00:00`);
+    const to = f.to && new Date(`${f.to}T23:59:59.999`);
+    return db.changelog.filter((e) => {
+      if (f.user !== "all" && e.user !== f.user) return false;
+      if (f.action !== "all" && e.action !== f.action) return false;
+      const ts = new Date(e.ts);
+      if ((from && ts < from) || (to && ts > to)) return false;
+      return !q || entryLabel(db, e).toLowerCase().includes(q) || String(e.payload?.id ?? "").toLowerCase() === q;
+    });
+  }, [db, f]);
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE));
+  const at = Math.min(page, pages - 1);
+  const set = (patch) => { setF({ ...f, ...patch }); setPage(0); };
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        <select className="border rounded-xl p-2" value={f.user} onChange={(e)=>set({ user: e.target.value })}>
+          <option value="all">Any user</option>
+          {db.meta.members.map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+        </select>
+        <select className="border rounded-xl p-2" value={f.action} onChange={(e)=>set({ action: e.target.value })}>
+          <option value="all">Any action</option>
+          {actions.map((a) => <option key={a}>{a}</option>)}
+        </select>
+        <input className="border rounded-xl p-2" placeholder="Record (e.g. INV-1001)" value={f.record} onChange={(e)=>set({ record: e.target.value })} />
+        <input type="date" className="border rounded-xl p-2" value={f.from} onChange={(e)=>set({ from: e.target.value })} title="From" />
+        <input type="date" className="border rounded-xl p-2" value={f.to} onChange={(e)=>set({ to: e.target.value })} title="To" />
+      </div>
+      <div className="divide-y">
+        {rows.slice(at * PAGE, (at + 1) * PAGE).map((e) => (
+          <div key={e.id} className="py-2 flex items-start gap-3">
+            <div className="text-gray-400 text-xs w-36 shrink-0">{new Date(e.ts).toLocaleString()}</div>
+            <div className="flex-1 min-w-0">
+              <div>
+                <span className={`font-medium ${memberColor(db, e.user)}`}>{memberName(db, e.user)}</span> <span className="font-mono text-xs">{e.action}</span> {entryLabel(db, e)}
+                {e.folded && <span className="text-xs text-gray-400"> · {e.folded.length + 1} edits</span>}
+              </div>
+              {entryDiff(db, e).map((d, i) => <div key={i} className="text-xs text-gray-600 break-all">{d}</div>)}
+            </div>
+          </div>
+        ))}
+        {!rows.length && <div className="py-2 text-gray-400">No entries match.</div>}
+      </div>
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <div>{rows.length ? `${at * PAGE + 1}–${Math.min(rows.length, (at + 1) * PAGE)} of ${rows.length}` : ""}</div>
+        <div className="flex gap-2">
+          <button className="border rounded-lg px-2 disabled:opacity-40" disabled={at === 0} onClick={()=>setPage(at - 1)}>Prev</button>
+          <button className="border rounded-lg px-2 disabled:opacity-40" disabled={at >= pages - 1} onClick={()=>setPage(at + 1)}>Next</button>
+        </div>
+      </div>
     </div>
   );
 }
@@ -483,9 +3297,381 @@ function MiniLineChart({ data, height=140 }) {
   );
 }
 
+function CsvImport({ db, user, text, onText, onImport }) {
+  const [draft, setDraft] = useState("");
+  const [coll, setColl] = useState("invoices");
+  const [header, ...records] = useMemo(() => parseCSV(text || ""), [text]);
+  const [mapping, setMapping] = useState({});
+  const [opts, setOpts] = useState({ dateOrder: "dmy", decimal: "comma", currency: "ARS" });
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  // re-guess the mapping and formats whenever the file or the target changes
+  useEffect(() => {
+    if (!header) return;
+    const m = guessMapping(header, coll);
+    setMapping(m);
+    setOpts((o) => ({
+      ...o,
+      dateOrder: m.date >= 0 ? detectDateOrder(records.map((r) => r[m.date])) : o.dateOrder,
+      decimal: m.amount >= 0 ? detectDecimal(records.map((r) => r[m.amount])) : o.decimal,
+    }));
+  }, [text, coll]);
+  const preview = useMemo(() => (header ? csvImportPreview(db, coll, records, mapping, { ...opts, user }) : []), [db, coll, text, mapping, opts, user]);
+
+  if (!header) return (
+    <div className="space-y-2 text-sm">
+      <div className="text-gray-500">Paste rows copied from a spreadsheet (first row = column names), or pick a CSV file in the Data card.</div>
+      <textarea className="border rounded-xl p-2 w-full h-32 font-mono text-xs" value={draft} onChange={(e)=>setDraft(e.target.value)} />
+      <button className="border rounded-xl px-3 py-1" disabled={!draft.trim()} onClick={()=>onText(draft)}>Preview</button>
+    </div>
+  );
+
+  const fields = IMPORT_FIELDS[coll];
+  const missing = fields.filter((f) => f.required && !(mapping[f.key] >= 0));
+  const importable = preview.filter((p) => !p.errors.length && !(skipDuplicates && p.duplicate));
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="border rounded-lg p-1" value={coll} onChange={(e)=>setColl(e.target.value)}>
+          <option value="invoices">Import as invoices</option>
+          <option value="expenses">Import as expenses</option>
+        </select>
+        <select className="border rounded-lg p-1" value={opts.dateOrder} onChange={(e)=>setOpts({ ...opts, dateOrder: e.target.value })} title="Date format">
+          <option value="dmy">DD/MM/YYYY</option>
+          <option value="mdy">MM/DD/YYYY</option>
+        </select>
+        <select className="border rounded-lg p-1" value={opts.decimal} onChange={(e)=>setOpts({ ...opts, decimal: e.target.value })} title="Number format">
+          <option value="comma">1.234,56</option>
+          <option value="dot">1,234.56</option>
+        </select>
+        <span className="text-xs text-gray-500">default currency</span>
+        <CurrencySelect db={db} value={opts.currency} onChange={(currency)=>setOpts({ ...opts, currency })} />
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        {fields.map((f) => (
+          <label key={f.key} className="text-xs text-gray-500">
+            {f.label}{f.required && " *"}
+            <select className={`border rounded-lg p-1 w-full text-sm text-gray-900 ${f.required && !(mapping[f.key] >= 0) ? "border-red-400" : ""}`} value={mapping[f.key] ?? -1} onChange={(e)=>setMapping({ ...mapping, [f.key]: parseInt(e.target.value, 10) })}>
+              <option value={-1}>—</option>
+              {header.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+      <div className="max-h-72 overflow-auto border rounded-xl">
+        <table className="min-w-full text-xs">
+          <thead className="text-left text-gray-500 sticky top-0 bg-white">
+            <tr>
+              <th className="p-2">Line</th>
+              <th className="p-2">Date</th>
+              <th className="p-2">{coll === "invoices" ? "Invoice / client" : "Description"}</th>
+              <th className="p-2 text-right">Amount</th>
+              <th className="p-2">Check</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.map((p) => (
+              <tr key={p.line} className={`border-t ${p.errors.length ? "bg-red-50" : p.duplicate ? "bg-amber-50" : ""}`}>
+                <td className="p-2 text-gray-400">{p.line}</td>
+                <td className="p-2">{p.row.date}</td>
+                <td className="p-2">{coll === "invoices" ? `${p.row.invoiceNo} · ${db.meta.clients.find((c) => c.id === p.row.clientId)?.name || "?"}` : p.row.description}</td>
+                <td className="p-2 text-right">{p.row.amount.toLocaleString()} {p.row.currency}</td>
+                <td className="p-2">{p.errors.length ? <span className="text-red-600">{p.errors.join("; ")}</span> : p.duplicate ? <span className="text-amber-700">possible duplicate</span> : <span className="text-green-700">ok</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-1 text-xs text-gray-500">
+          <input type="checkbox" checked={skipDuplicates} onChange={(e)=>setSkipDuplicates(e.target.checked)} /> skip possible duplicates
+        </label>
+        <button className="border rounded-xl px-3 py-1 disabled:opacity-40" disabled={missing.length > 0 || !importable.length} onClick={()=>onImport(coll, importable.map((p) => p.row))}>
+          Import {importable.length} row(s)
+        </button>
+        {missing.length > 0 && <span className="text-xs text-red-600">Map {missing.map((f) => f.label).join(", ")} first</span>}
+        <span className="text-xs text-gray-400">{preview.filter((p) => p.errors.length).length} with errors will be left out</span>
+      </div>
+    </div>
+  );
+}
+
+function Reconciled({ txn }) {
+  if (!txn) return null;
+  return <div className="text-xs font-normal text-green-700" title={`${txn.account} · ${txn.date} · ${txn.description}`}>✓ in bank</div>;
+}
+
+function BankReconciliation({ db, money, onMatch, onIgnore, onToExpense, onAutoMatch, onSettings }) {
+  const txns = db.bankTxns;
+  const unmatched = txns.filter((t) => !t.match && !t.ignored);
+  const matched = txns.filter((t) => t.match);
+  const ignored = txns.filter((t) => !t.match && t.ignored);
+  const label = (coll, row) => (coll === "invoices" ? `${row.invoiceNo} · ${db.meta.clients.find((c) => c.id === row.clientId)?.name || "?"}` : row.description) + ` · ${row.date} · ${amountOf(row)} ${row.currency}`;
+  const rowOf = (m) => db[m.coll]?.find((r) => r.id === m.id);
+  const amount = (t) => <span className={t.amount < 0 ? "text-red-600" : "text-green-700"}>{t.amount.toLocaleString()} {t.currency}</span>;
+  // suggestions first, then any other open row of the same sign and currency, nearest date first
+  const options = (t) => {
+    const taken = matchedKeys(txns, t.id);
+    const suggested = matchCandidates(db, t, money.rates, taken);
+    const ids = new Set(suggested.map((c) => c.row.id));
+    const coll = t.amount > 0 ? "invoices" : "expenses";
+    const rest = db[coll].filter((r) => !ids.has(r.id) && !taken.has(`${coll}:${r.id}`) && r.currency === t.currency && r.status !== "void")
+      .sort((a, b) => Math.abs(daysBetween(a.date, t.date)) - Math.abs(daysBetween(b.date, t.date))).slice(0, 15);
+    return { coll, suggested: suggested.map((c) => c.row), rest };
+  };
+  if (!txns.length) return <div className="text-sm text-gray-400">Import a bank or wallet statement (CSV or OFX) to check which invoices were paid and which expenses went out.</div>;
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+        <span>{matched.length} matched · {unmatched.length} to review · {ignored.length} ignored</span>
+        <label className="flex items-center gap-1">
+          date window
+          <input type="number" min="0" className="border rounded-lg p-1 w-14" value={db.settings.reconcileWindowDays ?? 7} onChange={(e)=>onSettings({ reconcileWindowDays: Math.max(0, parseInt(e.target.value || 0, 10)) })} />
+          days
+        </label>
+        <button className="border rounded-lg px-2 py-1 disabled:opacity-40" disabled={!unmatched.length} onClick={onAutoMatch}>Auto-match</button>
+      </div>
+      {unmatched.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="p-2">Date</th>
+                <th className="p-2">Account</th>
+                <th className="p-2">Description</th>
+                <th className="p-2 text-right">Amount</th>
+                <th className="p-2">Match</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {unmatched.map((t) => {
+                const { coll, suggested, rest } = options(t);
+                return (
+                  <tr key={t.id} className="border-t">
+                    <td className="p-2 whitespace-nowrap">{t.date}</td>
+                    <td className="p-2 text-gray-500">{t.account}</td>
+                    <td className="p-2">{t.description}</td>
+                    <td className="p-2 text-right whitespace-nowrap">{amount(t)}</td>
+                    <td className="p-2">
+                      <select className="border rounded-lg p-1 text-xs max-w-xs" value="" onChange={(e)=> e.target.value && onMatch(t.id, { coll, id: e.target.value })}>
+                        <option value="">{suggested.length ? `${suggested.length} suggestion(s)…` : `Match to ${coll === "invoices" ? "an invoice" : "an expense"}…`}</option>
+                        {suggested.map((r) => <option key={r.id} value={r.id}>★ {label(coll, r)}</option>)}
+                        {rest.map((r) => <option key={r.id} value={r.id}>{label(coll, r)}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-2 whitespace-nowrap text-right">
+                      {t.amount < 0 && <button className="text-xs underline mr-2" onClick={()=>onToExpense(t)}>→ Expense</button>}
+                      <button className="text-xs text-gray-500 underline" onClick={()=>onIgnore(t.id, true)}>Ignore</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {matched.length > 0 && (
+        <details>
+          <summary className="cursor-pointer text-xs text-gray-500">Matched ({matched.length})</summary>
+          <div className="mt-1 space-y-1">
+            {matched.map((t) => {
+              const row = rowOf(t.match);
+              return (
+                <div key={t.id} className="flex items-center gap-2 text-xs">
+                  <span className="w-20 shrink-0">{t.date}</span>
+                  <span className="flex-1 min-w-0 truncate">{t.description} {amount(t)} → {row ? label(t.match.coll, row) : `${COLL_LABELS[t.match.coll]} (deleted)`}</span>
+                  <button className="text-gray-500 underline" onClick={()=>onMatch(t.id, null)}>Unmatch</button>
+                </div>
+              );
+            })}
+          </div>
+        </details>
+      )}
+      {ignored.length > 0 && (
+        <details>
+          <summary className="cursor-pointer text-xs text-gray-500">Ignored ({ignored.length})</summary>
+          <div className="mt-1 space-y-1">
+            {ignored.map((t) => (
+              <div key={t.id} className="flex items-center gap-2 text-xs text-gray-500">
+                <span className="w-20 shrink-0">{t.date}</span>
+                <span className="flex-1 min-w-0 truncate">{t.description} {amount(t)}</span>
+                <button className="underline" onClick={()=>onIgnore(t.id, false)}>Restore</button>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+}
+
+function Recurring({ db, user, money, onUpdate, onRemove }) {
+  if (!db.recurring.length) return <div className="text-sm text-gray-400">Use ↻ on an invoice or expense to repeat it every month, quarter or year.</div>;
+  const setTemplate = (rec, patch) => onUpdate(rec.id, { template: { ...rec.template, ...patch } });
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="p-2">What</th>
+            <th className="p-2">Amount</th>
+            <th className="p-2">Every</th>
+            <th className="p-2">FX</th>
+            <th className="p-2">From / until</th>
+            <th className="p-2">Next</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {db.recurring.map((rec) => {
+            const t = rec.template;
+            const next = nextOccurrence(rec);
+            const owner = ownsTemplate(db, user, rec);
+            const lockTitle = owner ? undefined : `Only ${ownersOf("recurring", rec).map((id) => memberName(db, id)).join(" or ")} can change this`;
+            return (
+              <tr key={rec.id} className={`border-t ${rec.paused ? "text-gray-400" : ""}`}>
+                <td className="p-2">
+                  <div className="text-xs text-gray-500">{rec.coll === "invoices" ? `Invoice · ${db.meta.clients.find((c) => c.id === t.clientId)?.name || "?"}` : `Expense · paid by ${memberName(db, t.paidBy)}`}</div>
+                  <input className="border rounded-lg p-1 w-48" value={(rec.coll === "invoices" ? t.notes : t.description) || ""} placeholder={rec.coll === "invoices" ? "Notes" : "Description"}
+                    onChange={(e)=>setTemplate(rec, rec.coll === "invoices" ? { notes: e.target.value } : { description: e.target.value })} />
+                </td>
+                <td className="p-2 whitespace-nowrap">
+                  {t.lines?.length
+                    ? <span title="Sum of the template's line items">{linesTotal(t.lines).toLocaleString()}</span>
+                    : <input type="number" className="border rounded-lg p-1 w-24" disabled={!owner} title={lockTitle} value={t.amount} onChange={(e)=>setTemplate(rec, { amount: parseFloat(e.target.value||0) })} />}
+                  {" "}{t.currency}
+                </td>
+                <td className="p-2 whitespace-nowrap">
+                  <select className="border rounded-lg p-1" value={rec.frequency} onChange={(e)=>onUpdate(rec.id, { frequency: e.target.value })}>
+                    <option value="monthly">month</option>
+                    <option value="quarterly">quarter</option>
+                    <option value="yearly">year</option>
+                  </select>
+                  {" "}on day <input type="number" min="1" max="31" className="border rounded-lg p-1 w-14" value={rec.day} onChange={(e)=>onUpdate(rec.id, { day: Math.min(31, Math.max(1, parseInt(e.target.value || 1, 10))) })} title="Day of the month (short months use their last day)" />
+                </td>
+                <td className="p-2 whitespace-nowrap">
+                  {t.currency === (t.fxBase || "USD") ? <span className="text-gray-400">—</span> : (
+                    <>
+                      <select className="border rounded-lg p-1" disabled={!owner} title={lockTitle} value={rec.fx} onChange={(e)=>onUpdate(rec.id, { fx: e.target.value })}>
+                        <option value="table">FX table</option>
+                        <option value="fixed">fixed</option>
+                      </select>
+                      {rec.fx === "fixed" && <input type="number" className="border rounded-lg p-1 w-20 ml-1" disabled={!owner} title={lockTitle} value={t.fxRate} onChange={(e)=>setTemplate(rec, { fxRate: parseFloat(e.target.value||0) })} />}
+                    </>
+                  )}
+                </td>
+                <td className="p-2 whitespace-nowrap">
+                  <input type="date" className="border rounded-lg p-1" value={rec.start} onChange={(e)=> e.target.value && onUpdate(rec.id, { start: e.target.value })} />
+                  <input type="date" className="border rounded-lg p-1 ml-1" value={rec.end || ""} onChange={(e)=>onUpdate(rec.id, { end: e.target.value || null })} title="Last date (empty = no end)" />
+                </td>
+                <td className="p-2 whitespace-nowrap">{rec.paused ? "paused" : next || "ended"}</td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  <button className="text-gray-600 mr-2" onClick={()=>onUpdate(rec.id, rec.paused ? { paused: false, lastRun: rec.lastRun > todayISO() ? rec.lastRun : todayISO() } : { paused: true })} title={rec.paused ? "Occurrences missed while paused are skipped" : undefined}>{rec.paused ? "Resume" : "Pause"}</button>
+                  <button className="text-red-600 disabled:opacity-40" disabled={!owner} title={lockTitle} onClick={()=>onRemove(rec.id)}>Delete</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function CategorySelect({ db, value, onChange, exclude = [] }) {
+  return (
+    <select className="border rounded-lg p-1 mt-1 block text-xs text-gray-600" value={value || ""} onChange={(e)=>onChange(e.target.value || null)}>
+      <option value="">{exclude.length ? "(top level)" : "Uncategorized"}</option>
+      {categoryTree(db.meta.categories).filter(({ cat }) => !exclude.includes(cat.id)).map(({ cat, depth }) => (
+        <option key={cat.id} value={cat.id}>{"\u00a0\u00a0".repeat(depth)}{cat.name}</option>
+      ))}
+    </select>
+  );
+}
+
+// comma-separated while typing, saved as a list on blur
+function TagsInput({ tags, onChange }) {
+  const [text, setText] = useState(tags.join(", "));
+  useEffect(() => { setText(tags.join(", ")); }, [tags.join(",")]);
+  const save = () => {
+    const next = [...new Set(text.split(",").map((t) => t.trim()).filter(Boolean))];
+    if (next.join(",") !== tags.join(",")) onChange(next);
+  };
+  return <input className="border rounded-lg p-1 mt-1 block w-full text-xs" placeholder="tags" value={text} onChange={(e)=>setText(e.target.value)} onBlur={save} />;
+}
+
+function Categories({ db, onUpdate, onRemove }) {
+  const cats = db.meta.categories;
+  return (
+    <div className="space-y-1 text-sm">
+      {categoryTree(cats).map(({ cat, depth }) => (
+        <div key={cat.id} className="flex items-center gap-1" style={{ paddingLeft: depth * 12 }}>
+          <input className="flex-1 min-w-0 border rounded-lg p-1" value={cat.name} onChange={(e)=>onUpdate(cat.id, { name: e.target.value })} />
+          <input type="number" min="0" className="border rounded-lg p-1 w-20 text-xs" placeholder="budget" value={cat.budget ?? ""} title="Monthly budget in USD (empty = none)"
+            onChange={(e)=>onUpdate(cat.id, { budget: e.target.value === "" ? null : parseFloat(e.target.value) })} />
+          <div className="w-24"><CategorySelect db={db} value={cat.parentId} exclude={categoryIdsUnder(cats, cat.id)} onChange={(parentId)=>onUpdate(cat.id, { parentId })} /></div>
+          <button className="text-gray-400" onClick={()=> confirm(`Remove ${cat.name}? Its expenses become uncategorized and its subcategories move to the top level.`) && onRemove(cat.id)}>×</button>
+        </div>
+      ))}
+      <div className="text-xs text-gray-500">Budgets are USD per month; a parent without one adds up its subcategories.</div>
+    </div>
+  );
+}
+
+function BudgetReport({ report, money }) {
+  if (!report.rows.length && !report.uncategorized) return <div className="text-sm text-gray-400">Add expense categories in the card below to track spending.</div>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="p-2">Category</th>
+            <th className="p-2 text-right">Budget</th>
+            <th className="p-2 text-right">Actual</th>
+            <th className="p-2 text-right">Left</th>
+            <th className="p-2 w-40"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.rows.map(({ cat, depth, actual, budget, over }) => (
+            <tr key={cat.id} className={`border-t ${over ? "bg-red-50" : ""}`}>
+              <td className={`p-2 ${depth ? "text-gray-600" : "font-medium"}`} style={{ paddingLeft: 8 + depth * 16 }}>{cat.name}</td>
+              <td className="p-2 text-right text-gray-500">{budget === null ? "—" : money.fmt(budget)}</td>
+              <td className="p-2 text-right">{money.fmt(actual)}</td>
+              <td className={`p-2 text-right ${over ? "text-red-600 font-medium" : ""}`}>{budget === null ? "" : money.fmt(budget - actual)}</td>
+              <td className="p-2">
+                {budget > 0 && (
+                  <div className="h-2 rounded-full bg-gray-100 overflow-hidden" title={`${Math.round(actual / budget * 100)}% of budget`}>
+                    <div className={`h-2 ${over ? "bg-red-500" : "bg-emerald-500"}`} style={{ width: `${Math.min(100, actual / budget * 100)}%` }} />
+                  </div>
+                )}
+              </td>
+            </tr>
+          ))}
+          <tr className="border-t text-gray-500">
+            <td className="p-2">Uncategorized</td>
+            <td className="p-2"></td>
+            <td className="p-2 text-right">{money.fmt(report.uncategorized)}</td>
+            <td className="p-2" colSpan={2}></td>
+          </tr>
+          <tr className="border-t font-medium">
+            <td className="p-2">Total</td>
+            <td className="p-2 text-right">{money.fmt(report.total.budget)}</td>
+            <td className="p-2 text-right">{money.fmt(report.total.actual)}</td>
+            <td className={`p-2 text-right ${report.total.actual > report.total.budget ? "text-red-600" : ""}`}>{money.fmt(report.total.budget - report.total.actual)}</td>
+            <td className="p-2"></td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 // ----------------------------- Tables -----------------------------
-function TableInvoices({ db, setDb, updateRow, removeRow, matchesFilters }) {
+function TableInvoices({ db, user, setDb, updateRow, removeRow, makeRecurring, matchesFilters, money }) {
   const rows = db.invoices.filter(matchesFilters);
+  const duplicates = useMemo(() => duplicateInvoiceNos(db), [db.invoices]);
+  const reconciled = useMemo(() => reconciledRows(db), [db.bankTxns]);
   return (
     <div className="overflow-x-auto">
       <table className="min-w-full text-sm">
@@ -494,74 +3680,273 @@ function TableInvoices({ db, setDb, updateRow, removeRow, matchesFilters }) {
             <th className="p-2">Date</th>
             <th className="p-2">Client</th>
             <th className="p-2">Invoice #</th>
+            <th className="p-2">Status</th>
+            <th className="p-2">Due</th>
             <th className="p-2">Currency</th>
             <th className="p-2">Amount</th>
-            <th className="p-2">FX (ARS/USD)</th>
+            <th className="p-2">FX (per base)</th>
             <th className="p-2">Created By</th>
             <th className="p-2">Split</th>
             <th className="p-2">Adj.</th>
-            <th className="p-2">Net USD</th>
+            <th className="p-2">Net {money.cur.code}</th>
+            <th className="p-2">Payments</th>
             <th className="p-2">Notes</th>
             <th className="p-2"></th>
           </tr>
         </thead>
         <tbody>
-          {rows.map(r => <InvoiceRow key={r.id} r={r} db={db} updateRow={updateRow} removeRow={removeRow} />)}
+          {rows.map(r => <InvoiceRow key={r.id} r={r} money={money} db={db} user={user} duplicate={duplicates.has(invoiceNoKey(r.invoiceNo))} bankTxn={reconciled.get(`invoices:${r.id}`)} updateRow={updateRow} removeRow={removeRow} makeRecurring={makeRecurring} />)}
         </tbody>
       </table>
     </div>
   );
 }
 
-function InvoiceRow({ r, db, updateRow, removeRow }) {
-  const net = netUsdOf(r);
-  const { debiUSD, bochaUSD } = splitUsd(r);
+function InvoiceRow({ r: row, db, user, duplicate, bankTxn, updateRow, removeRow, makeRecurring, money }) {
+  const { view: r, owner, lockTitle, rowClass, rowTitle } = rowAccess(db, user, "invoices", row);
+  const net = netUsdOf(r, money.rates);
+  const state = invoiceState(r, money.rates);
+  const [showLines, setShowLines] = useState(false);
+  const hasLines = r.lines?.length > 0;
   return (
-    <tr className="border-t">
+    <>
+    <tr className={`${rowClass} ${state.status === "void" ? "text-gray-400" : ""}`} title={rowTitle}>
       <td className="p-2"><input type="date" className="border rounded-lg p-1" value={r.date} onChange={(e)=>updateRow("invoice", r.id, { date: e.target.value })} /></td>
       <td className="p-2">
         <select className="border rounded-lg p-1" value={r.clientId} onChange={(e)=>updateRow("invoice", r.id, { clientId: e.target.value })}>
           {db.meta.clients.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
         </select>
+        <TagsInput tags={r.tags || []} onChange={(tags)=>updateRow("invoice", r.id, { tags })} />
       </td>
-      <td className="p-2"><input className="border rounded-lg p-1 w-28" value={r.invoiceNo} onChange={(e)=>updateRow("invoice", r.id, { invoiceNo: e.target.value })}/></td>
-      <td className="p-2">
-        <select className="border rounded-lg p-1" value={r.currency} onChange={(e)=>updateRow("invoice", r.id, { currency: e.target.value })}>
-          <option>USD</option>
-          <option>ARS</option>
-        </select>
-      </td>
-      <td className="p-2"><input type="number" className="border rounded-lg p-1 w-28" value={r.amount} onChange={(e)=>updateRow("invoice", r.id, { amount: parseFloat(e.target.value||0) })}/></td>
-      <td className="p-2"><input type="number" step="0.0001" className="border rounded-lg p-1 w-28" value={r.fxRate} onChange={(e)=>updateRow("invoice", r.id, { fxRate: parseFloat(e.target.value||0) })} title="ARS per 1 USD on the transaction date"/></td>
       <td className="p-2">
-        <select className="border rounded-lg p-1" value={r.createdBy} onChange={(e)=>updateRow("invoice", r.id, { createdBy: e.target.value })}>
-          <option>Debi</option>
-          <option>Bocha</option>
-        </select>
+        <input className={`border rounded-lg p-1 w-28 ${duplicate ? "border-red-400 bg-red-50" : ""}`} value={r.invoiceNo} title={duplicate ? "Another invoice has this number" : undefined}
+          onChange={(e)=>updateRow("invoice", r.id, { invoiceNo: e.target.value })}
+          onBlur={(e)=>{
+            const other = db.invoices.find((x) => x.id !== r.id && invoiceNoKey(x.invoiceNo) === invoiceNoKey(e.target.value));
+            if (other) alert(`Invoice number ${e.target.value} is already used (${db.meta.clients.find((c) => c.id === other.clientId)?.name || "no client"}, ${other.date}).`);
+          }}/>
       </td>
       <td className="p-2">
         <div className="flex items-center gap-1">
-          <PercentAmountToggle value={r.split.mode} onChange={(v)=>updateRow("invoice", r.id, { split: { ...r.split, mode: v } })} />
-          <input type="number" className="border rounded-lg p-1 w-16" value={r.split.debi} onChange={(e)=>updateRow("invoice", r.id, { split: { ...r.split, debi: parseFloat(e.target.value||0) } })} title="Debi share"/>
-          <span>:</span>
-          <input type="number" className="border rounded-lg p-1 w-16" value={r.split.bocha} onChange={(e)=>updateRow("invoice", r.id, { split: { ...r.split, bocha: parseFloat(e.target.value||0) } })} title="Bocha share"/>
-          <div className="text-xs text-gray-500 ml-2">{`D ${fmtUSD(debiUSD)} • B ${fmtUSD(bochaUSD)}`}</div>
+          <fieldset disabled={!owner} title={lockTitle}>
+            <select className="border rounded-lg p-1" value={r.status} onChange={(e)=>updateRow("invoice", r.id, { status: e.target.value })}>
+              {INVOICE_STATUSES.map((st) => <option key={st} value={st}>{STATUS_LABELS[st]}</option>)}
+            </select>
+          </fieldset>
+          <StatusBadge state={state} />
         </div>
       </td>
+      <td className="p-2"><input type="date" className={`border rounded-lg p-1 ${state.overdue ? "border-red-400 bg-red-50" : ""}`} value={r.dueDate || ""} onChange={(e)=>updateRow("invoice", r.id, { dueDate: e.target.value || null })} /></td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><CurrencySelect db={db} value={r.currency} onChange={(v)=>updateRow("invoice", r.id, { currency: v })} /></fieldset>
+      </td>
+      <td className="p-2">
+        <fieldset disabled={!owner || hasLines} title={hasLines ? "Sum of the line items" : lockTitle}><input type="number" className="border rounded-lg p-1 w-28" value={amountOf(r)} onChange={(e)=>updateRow("invoice", r.id, { amount: parseFloat(e.target.value||0) })}/></fieldset>
+        <button className="text-xs text-gray-500 underline" onClick={()=>setShowLines(!showLines)}>{hasLines ? `${r.lines.length} line${r.lines.length > 1 ? "s" : ""}` : "Lines"} {showLines ? "▴" : "▾"}</button>
+      </td>
+      <td className="p-2"><fieldset disabled={!owner} title={lockTitle}><FxInput r={r} db={db} onChange={(patch)=>updateRow("invoice", r.id, patch)} /></fieldset></td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><MemberSelect db={db} value={r.createdBy} onChange={(v)=>updateRow("invoice", r.id, { createdBy: v })} /></fieldset>
+      </td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><SplitEditor r={r} db={db} money={money} onChange={(split)=>updateRow("invoice", r.id, { split })} /></fieldset>
+      </td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><Adjustments r={r} db={db} money={money} onChange={(adj)=>updateRow("invoice", r.id, { adjustments: adj })} /></fieldset>
+      </td>
+      <td className={`p-2 font-medium ${state.status === "void" ? "line-through" : ""}`}>{money.fmt(net)}<Reconciled txn={bankTxn} />{r.recurringId && <div className="text-xs font-normal text-gray-400" title="Generated from a recurring template">↻ recurring</div>}</td>
       <td className="p-2">
-        <Adjustments r={r} onChange={(adj)=>updateRow("invoice", r.id, { adjustments: adj })} />
+        <fieldset disabled={!owner} title={lockTitle}><Payments r={r} db={db} money={money} state={state} onChange={(payments)=>updateRow("invoice", r.id, { payments })} /></fieldset>
       </td>
-      <td className="p-2 font-medium">{fmtUSD(net)}</td>
       <td className="p-2"><input className="border rounded-lg p-1 w-40" value={r.notes||""} onChange={(e)=>updateRow("invoice", r.id, { notes: e.target.value })}/></td>
       <td className="p-2 text-right">
-        <button className="text-red-600" onClick={()=>removeRow("invoice", r.id)}>Delete</button>
+        <div className="flex justify-end gap-2">
+          <button className="text-gray-600" onClick={()=>printInvoice(invoiceDocument(db, r, money.rates))} title="Open a printable invoice (save as PDF from the print dialog)">Print</button>
+          <button className="text-gray-600" onClick={()=>makeRecurring("invoice", r)} title="Repeat this invoice every month">↻</button>
+          <button className="text-red-600 disabled:opacity-30" disabled={!owner} title={lockTitle} onClick={()=>removeRow("invoice", r.id)}>Delete</button>
+        </div>
       </td>
     </tr>
+    {showLines && (
+      <tr className="bg-gray-50">
+        <td colSpan={15} className="p-2">
+          <fieldset disabled={!owner} title={lockTitle}>
+            <LineItems r={r} db={db} money={money} onChange={(lines)=>updateRow("invoice", r.id, { lines, amount: linesTotal(lines) })} />
+          </fieldset>
+        </td>
+      </tr>
+    )}
+    </>
+  );
+}
+
+// Detail rows of an invoice; the first "+ Line" turns the single amount into a line so nothing is lost
+function LineItems({ r, db, money, onChange }) {
+  const lines = r.lines || [];
+  const cur = db.meta.currencies.find((c) => c.code === r.currency) || money.cur;
+  const set = (id, patch) => onChange(lines.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  const blank = () => ({ id: uid(), description: "", qty: 1, unitPrice: 0 });
+  const add = () => onChange(lines.length ? [...lines, blank()] : [{ ...blank(), description: r.notes || "", unitPrice: r.amount }, blank()]);
+  return (
+    <div className="space-y-1 text-sm">
+      {lines.map((l) => (
+        <div key={l.id} className="flex flex-wrap items-center gap-2">
+          <input className="border rounded-lg p-1 flex-1 min-w-[12rem]" placeholder="Description" value={l.description} onChange={(e)=>set(l.id, { description: e.target.value })} />
+          <input type="number" className="border rounded-lg p-1 w-16" title="Quantity" value={l.qty} onChange={(e)=>set(l.id, { qty: parseFloat(e.target.value||0) })} />
+          <span className="text-gray-400">×</span>
+          <input type="number" className="border rounded-lg p-1 w-28" title="Unit price" value={l.unitPrice} onChange={(e)=>set(l.id, { unitPrice: parseFloat(e.target.value||0) })} />
+          <span className="w-28 text-right">{fmtMoney(lineTotal(l), cur)}</span>
+          <label className="text-xs text-gray-500 flex items-center gap-1">
+            <input type="checkbox" checked={!!l.split} onChange={(e)=>set(l.id, { split: e.target.checked ? r.split : undefined })} />
+            Own split
+          </label>
+          {l.split && <SplitEditor r={r} line={l} db={db} money={money} onChange={(split)=>set(l.id, { split })} />}
+          <button className="text-gray-400" onClick={()=>onChange(lines.filter((x) => x.id !== l.id))}>×</button>
+        </div>
+      ))}
+      <div className="flex items-center gap-3">
+        <button className="border rounded-lg px-2 text-xs" onClick={add}>+ Line</button>
+        {lines.length > 0 && <span className="text-xs text-gray-500">Total {fmtMoney(linesTotal(lines), cur)} · removing every line keeps that total as a single amount</span>}
+      </div>
+    </div>
+  );
+}
+
+function NumberingSettings({ db, disabled, onChange }) {
+  const n = { ...DEFAULT_NUMBERING, ...db.settings.invoiceNumbering };
+  return (
+    <fieldset disabled={disabled} className="mt-2 space-y-1 text-xs">
+      <label className="flex items-center justify-between gap-2">
+        <span className="text-gray-500">Prefix</span>
+        <input className="border rounded-lg p-1 w-24" value={n.prefix} onChange={(e)=>onChange({ prefix: e.target.value })} />
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        <span className="text-gray-500">Zero padding (digits)</span>
+        <input type="number" min="1" max="10" className="border rounded-lg p-1 w-24" value={n.padding} onChange={(e)=>onChange({ padding: Math.min(10, Math.max(1, parseInt(e.target.value||1, 10))) })} />
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        <span className="text-gray-500">Next number (at least)</span>
+        <input type="number" min="1" className="border rounded-lg p-1 w-24" disabled={n.perYear} value={n.next} onChange={(e)=>onChange({ next: Math.max(1, parseInt(e.target.value||1, 10)) })} />
+      </label>
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={n.perYear} onChange={(e)=>onChange({ perYear: e.target.checked })} />
+        <span className="text-gray-500">Restart every year (adds the year)</span>
+      </label>
+      <div className="text-gray-500">Next invoice: <span className="font-mono">{nextInvoiceNo(db)}</span></div>
+    </fieldset>
+  );
+}
+
+// Fields save on blur; with a fallback (client overrides) blank fields show the default as placeholder
+function TemplateEditor({ template, fallback, disabled, onSave }) {
+  const fields = TEMPLATE_FIELDS.filter((f) => fallback || !f.clientOnly);
+  const save = (key, value) => { if (value !== (template[key] ?? "")) onSave({ [key]: value }); };
+  return (
+    <fieldset disabled={disabled} className="mt-2 space-y-1 text-xs">
+      {fields.map((f) => (
+        <label key={f.key} className="block">
+          <span className="text-gray-500">{f.label}</span>
+          {f.multiline
+            ? <textarea rows={2} className="w-full border rounded-lg p-1" defaultValue={template[f.key] ?? ""} placeholder={fallback?.[f.key] ?? ""} onBlur={(e)=>save(f.key, e.target.value)} />
+            : <input className="w-full border rounded-lg p-1" defaultValue={template[f.key] ?? ""} placeholder={fallback?.[f.key] ?? ""} onBlur={(e)=>save(f.key, e.target.value)} />}
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+function AgingReport({ db, money }) {
+  const report = useMemo(() => agingReport(db, money.rates), [db, money]);
+  const [open, setOpen] = useState(null); // client id whose invoices are expanded
+  const cells = (amounts) => AGING_BUCKETS.map((b) => (
+    <td key={b.id} className={`p-2 text-right ${b.id !== "current" && amounts[b.id] ? "text-red-600" : ""}`}>{amounts[b.id] ? money.fmt(amounts[b.id]) : ""}</td>
+  ));
+  if (!report.clients.length) return <div className="text-sm text-gray-400">Nothing outstanding.</div>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="p-2">Client</th>
+            {AGING_BUCKETS.map((b) => <th key={b.id} className="p-2 text-right">{b.label}</th>)}
+            <th className="p-2 text-right">Total {money.cur.code}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.clients.map((c) => (
+            <React.Fragment key={c.clientId}>
+              <tr className="border-t cursor-pointer hover:bg-gray-50" onClick={()=>setOpen(open === c.clientId ? null : c.clientId)}>
+                <td className="p-2 font-medium">{open === c.clientId ? "▾" : "▸"} <ClientName id={c.clientId} db={db} /> <span className="text-xs text-gray-400">({c.invoices.length})</span></td>
+                {cells(c.buckets)}
+                <td className="p-2 text-right font-medium">{money.fmt(c.total)}</td>
+              </tr>
+              {open === c.clientId && c.invoices.map(({ inv, dueUsd, daysLate, bucket }) => (
+                <tr key={inv.id} className="text-xs text-gray-600 bg-gray-50">
+                  <td className="p-2 pl-6">
+                    {inv.invoiceNo} · {inv.date}{inv.dueDate ? ` · due ${inv.dueDate}` : ""}
+                    {daysLate > 0 && <span className="text-red-600"> · {daysLate} days late</span>}
+                  </td>
+                  {cells({ [bucket]: dueUsd })}
+                  <td className="p-2 text-right">{money.fmt(dueUsd)}</td>
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+          <tr className="border-t font-medium">
+            <td className="p-2">Total</td>
+            {cells(report.totals.buckets)}
+            <td className="p-2 text-right">{money.fmt(report.totals.total)}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function StatusBadge({ state }) {
+  const badge = state.overdue ? ["Overdue", "bg-red-100 text-red-700"]
+    : state.status === "paid" ? ["Paid", "bg-emerald-100 text-emerald-700"]
+    : state.status === "partial" ? ["Partially paid", "bg-amber-100 text-amber-700"] : null;
+  return badge && <span className={`rounded-full px-2 py-0.5 text-xs whitespace-nowrap ${badge[1]}`}>{badge[0]}</span>;
+}
+
+// Client payments against an invoice; like rows, a changed date/currency/base/source re-fills the rate from the table
+function Payments({ r, db, money, state, onChange }) {
+  const payments = r.payments || [];
+  const withTableRate = (p) => { const table = tableRateFor(db, p); return table ? { ...p, fxRate: table.rate } : p; };
+  const set = (id, patch) => onChange(payments.map((p) => {
+    if (p.id !== id) return p;
+    const next = { ...p, ...patch };
+    return !("fxRate" in patch) && ["date", "currency", "fxBase", "fxSource"].some((k) => k in patch) ? withTableRate(next) : next;
+  }));
+  // pre-fill what is still owed, in the invoice currency
+  const add = () => {
+    const unit = unitUsdOf(r, money.rates);
+    const amount = unit ? Math.round((state.dueUsd / unit) * 100) / 100 : 0;
+    onChange([...payments, withTableRate({ id: uid(), date: todayISO(), amount, currency: r.currency, fxRate: r.fxRate, fxBase: r.fxBase || "USD", ...(r.fxSource && { fxSource: r.fxSource }), note: "" })]);
+  };
+  return (
+    <details>
+      <summary className="cursor-pointer whitespace-nowrap text-xs">{money.fmt(state.paidUsd)} paid{state.dueUsd >= 0.005 && state.status !== "void" ? ` · ${money.fmt(state.dueUsd)} due` : ""}</summary>
+      <div className="mt-1 space-y-1">
+        {payments.map((p) => (
+          <div key={p.id} className="flex items-center gap-1">
+            <input type="date" className="border rounded-lg p-1" value={p.date} onChange={(e)=>set(p.id, { date: e.target.value })} />
+            <input type="number" className="border rounded-lg p-1 w-24" value={p.amount} onChange={(e)=>set(p.id, { amount: parseFloat(e.target.value||0) })} />
+            <CurrencySelect db={db} value={p.currency} onChange={(v)=>set(p.id, { currency: v })} />
+            <FxInput r={p} db={db} onChange={(patch)=>set(p.id, patch)} />
+            <button className="text-gray-400" onClick={()=>onChange(payments.filter((x) => x.id !== p.id))}>×</button>
+          </div>
+        ))}
+        <button className="border rounded-lg px-2 text-xs disabled:opacity-40" disabled={state.status === "void" || state.status === "paid"} onClick={add}>+ Payment</button>
+      </div>
+    </details>
   );
 }
 
-function TableExpenses({ db, setDb, updateRow, removeRow, matchesFilters }) {
+function TableExpenses({ db, user, setDb, updateRow, removeRow, makeRecurring, matchesFilters, money }) {
   const rows = db.expenses.filter(matchesFilters);
+  const reconciled = useMemo(() => reconciledRows(db), [db.bankTxns]);
   return (
     <div className="overflow-x-auto">
       <table className="min-w-full text-sm">
@@ -571,71 +3956,131 @@ function TableExpenses({ db, setDb, updateRow, removeRow, matchesFilters }) {
             <th className="p-2">Description</th>
             <th className="p-2">Currency</th>
             <th className="p-2">Amount</th>
-            <th className="p-2">FX (ARS/USD)</th>
+            <th className="p-2">FX (per base)</th>
             <th className="p-2">Paid By</th>
             <th className="p-2">Split</th>
             <th className="p-2">Adj.</th>
-            <th className="p-2">Net USD</th>
+            <th className="p-2">Net {money.cur.code}</th>
             <th className="p-2"></th>
           </tr>
         </thead>
         <tbody>
-          {rows.map(r => <ExpenseRow key={r.id} r={r} updateRow={updateRow} removeRow={removeRow} />)}
+          {rows.map(r => <ExpenseRow key={r.id} r={r} money={money} db={db} user={user} bankTxn={reconciled.get(`expenses:${r.id}`)} updateRow={updateRow} removeRow={removeRow} makeRecurring={makeRecurring} />)}
         </tbody>
       </table>
     </div>
   );
 }
 
-function ExpenseRow({ r, updateRow, removeRow }) {
-  const net = netUsdOf(r);
-  const { debiUSD, bochaUSD } = splitUsd(r);
+function ExpenseRow({ r: row, db, user, bankTxn, updateRow, removeRow, makeRecurring, money }) {
+  const { view: r, owner, lockTitle, rowClass, rowTitle } = rowAccess(db, user, "expenses", row);
+  const net = netUsdOf(r, money.rates);
   return (
-    <tr className="border-t">
+    <tr className={rowClass} title={rowTitle}>
       <td className="p-2"><input type="date" className="border rounded-lg p-1" value={r.date} onChange={(e)=>updateRow("expense", r.id, { date: e.target.value })} /></td>
-      <td className="p-2"><input className="border rounded-lg p-1 w-64" value={r.description} onChange={(e)=>updateRow("expense", r.id, { description: e.target.value })}/></td>
       <td className="p-2">
-        <select className="border rounded-lg p-1" value={r.currency} onChange={(e)=>updateRow("expense", r.id, { currency: e.target.value })}>
-          <option>USD</option>
-          <option>ARS</option>
-        </select>
+        <input className="border rounded-lg p-1 w-64" value={r.description} onChange={(e)=>updateRow("expense", r.id, { description: e.target.value })}/>
+        <CategorySelect db={db} value={r.categoryId} onChange={(categoryId)=>updateRow("expense", r.id, { categoryId })} />
       </td>
-      <td className="p-2"><input type="number" className="border rounded-lg p-1 w-28" value={r.amount} onChange={(e)=>updateRow("expense", r.id, { amount: parseFloat(e.target.value||0) })}/></td>
-      <td className="p-2"><input type="number" step="0.0001" className="border rounded-lg p-1 w-28" value={r.fxRate} onChange={(e)=>updateRow("expense", r.id, { fxRate: parseFloat(e.target.value||0) })} title="ARS per 1 USD on the transaction date"/></td>
       <td className="p-2">
-        <select className="border rounded-lg p-1" value={r.paidBy} onChange={(e)=>updateRow("expense", r.id, { paidBy: e.target.value })}>
-          <option>Debi</option>
-          <option>Bocha</option>
-        </select>
+        <fieldset disabled={!owner} title={lockTitle}><CurrencySelect db={db} value={r.currency} onChange={(v)=>updateRow("expense", r.id, { currency: v })} /></fieldset>
       </td>
+      <td className="p-2"><fieldset disabled={!owner} title={lockTitle}><input type="number" className="border rounded-lg p-1 w-28" value={r.amount} onChange={(e)=>updateRow("expense", r.id, { amount: parseFloat(e.target.value||0) })}/></fieldset></td>
+      <td className="p-2"><fieldset disabled={!owner} title={lockTitle}><FxInput r={r} db={db} onChange={(patch)=>updateRow("expense", r.id, patch)} /></fieldset></td>
       <td className="p-2">
-        <div className="flex items-center gap-1">
-          <PercentAmountToggle value={r.split.mode} onChange={(v)=>updateRow("expense", r.id, { split: { ...r.split, mode: v } })} />
-          <input type="number" className="border rounded-lg p-1 w-16" value={r.split.debi} onChange={(e)=>updateRow("expense", r.id, { split: { ...r.split, debi: parseFloat(e.target.value||0) } })} title="Debi share"/>
-          <span>:</span>
-          <input type="number" className="border rounded-lg p-1 w-16" value={r.split.bocha} onChange={(e)=>updateRow("expense", r.id, { split: { ...r.split, bocha: parseFloat(e.target.value||0) } })} title="Bocha share"/>
-          <div className="text-xs text-gray-500 ml-2">{`D ${fmtUSD(debiUSD)} • B ${fmtUSD(bochaUSD)}`}</div>
+        <fieldset disabled={!owner} title={lockTitle}><MemberSelect db={db} value={r.paidBy} onChange={(v)=>updateRow("expense", r.id, { paidBy: v })} /></fieldset>
+      </td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><SplitEditor r={r} db={db} money={money} onChange={(split)=>updateRow("expense", r.id, { split })} /></fieldset>
+      </td>
+      <td className="p-2"><fieldset disabled={!owner} title={lockTitle}><Adjustments r={r} db={db} money={money} onChange={(adj)=>updateRow("expense", r.id, { adjustments: adj })} /></fieldset></td>
+      <td className="p-2 font-medium">{money.fmt(net)}<Reconciled txn={bankTxn} />{r.recurringId && <div className="text-xs font-normal text-gray-400" title="Generated from a recurring template">↻ recurring</div>}</td>
+      <td className="p-2 text-right">
+        <div className="flex justify-end gap-2">
+          <button className="text-gray-600" onClick={()=>makeRecurring("expense", r)} title="Repeat this expense every month">↻</button>
+          <button className="text-red-600 disabled:opacity-30" disabled={!owner} title={lockTitle} onClick={()=>removeRow("expense", r.id)}>Delete</button>
         </div>
       </td>
-      <td className="p-2"><Adjustments r={r} onChange={(adj)=>updateRow("expense", r.id, { adjustments: adj })} /></td>
-      <td className="p-2 font-medium">{fmtUSD(net)}</td>
-      <td className="p-2 text-right"><button className="text-red-600" onClick={()=>removeRow("expense", r.id)}>Delete</button></td>
     </tr>
   );
 }
 
-function Adjustments({ r, onChange }) {
+function TableSettlements({ db, user, updateRow, removeRow, matchesFilters, money }) {
+  const rows = db.settlements.filter(matchesFilters);
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="p-2">Date</th>
+            <th className="p-2">From</th>
+            <th className="p-2">To</th>
+            <th className="p-2">Currency</th>
+            <th className="p-2">Amount</th>
+            <th className="p-2">FX (per base)</th>
+            <th className="p-2">Method</th>
+            <th className="p-2">{money.cur.code}</th>
+            <th className="p-2">Note</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => <SettlementRow key={r.id} r={r} money={money} db={db} user={user} updateRow={updateRow} removeRow={removeRow} />)}
+          {!rows.length && <tr><td colSpan={10} className="p-2 text-gray-400">No settlements in this period.</td></tr>}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function SettlementRow({ r: row, db, user, updateRow, removeRow, money }) {
+  const { view: r, owner, lockTitle, rowClass, rowTitle } = rowAccess(db, user, "settlements", row);
+  return (
+    <tr className={rowClass} title={rowTitle}>
+      <td className="p-2"><input type="date" className="border rounded-lg p-1" value={r.date} onChange={(e)=>updateRow("settlement", r.id, { date: e.target.value })} /></td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><MemberSelect db={db} value={r.from} onChange={(v)=>updateRow("settlement", r.id, v === r.to ? { from: v, to: r.from } : { from: v })} /></fieldset>
+      </td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><MemberSelect db={db} value={r.to} onChange={(v)=>updateRow("settlement", r.id, v === r.from ? { to: v, from: r.to } : { to: v })} /></fieldset>
+      </td>
+      <td className="p-2">
+        <fieldset disabled={!owner} title={lockTitle}><CurrencySelect db={db} value={r.currency} onChange={(v)=>updateRow("settlement", r.id, { currency: v })} /></fieldset>
+      </td>
+      <td className="p-2"><fieldset disabled={!owner} title={lockTitle}><input type="number" className="border rounded-lg p-1 w-28" value={r.amount} onChange={(e)=>updateRow("settlement", r.id, { amount: parseFloat(e.target.value||0) })}/></fieldset></td>
+      <td className="p-2"><fieldset disabled={!owner} title={lockTitle}><FxInput r={r} db={db} onChange={(patch)=>updateRow("settlement", r.id, patch)} /></fieldset></td>
+      <td className="p-2">
+        <select className="border rounded-lg p-1" value={r.method} onChange={(e)=>updateRow("settlement", r.id, { method: e.target.value })}>
+          <option>Bank transfer</option>
+          <option>Cash</option>
+          <option>Wallet</option>
+          <option>Other</option>
+        </select>
+      </td>
+      <td className="p-2 font-medium">{money.fmt(usdOf(r, money.rates))}</td>
+      <td className="p-2"><input className="border rounded-lg p-1 w-40" value={r.note||""} onChange={(e)=>updateRow("settlement", r.id, { note: e.target.value })}/></td>
+      <td className="p-2 text-right"><button className="text-red-600 disabled:opacity-30" disabled={!owner} title={lockTitle} onClick={()=>removeRow("settlement", r.id)}>Delete</button></td>
+    </tr>
+  );
+}
+
+function Adjustments({ r, db, money, onChange }) {
   const [label, setLabel] = useState("");
   const [type, setType] = useState("percent");
   const [value, setValue] = useState(0);
-  const add = () => { onChange([...(r.adjustments||[]), { id: uid(), label: label||"Adj", type, value: parseFloat(value||0) }]); setLabel(""); setValue(0); };
+  const [base, setBase] = useState("gross");
+  const [currency, setCurrency] = useState("");
+  const add = () => {
+    const adj = { id: uid(), label: label||"Adj", type, value: parseFloat(value||0), ...(type === "percent" ? { base } : { currency: currency || r.currency }) };
+    onChange([...(r.adjustments||[]), adj]); setLabel(""); setValue(0);
+  };
   const remove = (id) => onChange((r.adjustments||[]).filter(a=>a.id!==id));
   return (
     <div>
       <div className="flex items-center gap-1 flex-wrap">
         {(r.adjustments||[]).map(a => (
-          <span key={a.id} className="inline-flex items-center gap-1 bg-gray-100 rounded-full px-2 py-0.5 text-xs">
-            {a.label} {a.type==='percent'?`${a.value}%`:`${fmtUSD(a.value)}`}
+          <span key={a.id} className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs ${a.ruleId ? "bg-indigo-50" : "bg-gray-100"}`} title={a.ruleId ? `Catalog rule · ${a.stage} other adjustments · borne by ${a.bearer === "split" ? "the split" : memberName(db, a.bearer)}` : undefined}>
+            {a.label} {adjustmentText(a)}
             <button className="text-gray-400" onClick={()=>remove(a.id)}>×</button>
           </span>
         ))}
@@ -647,8 +4092,118 @@ function Adjustments({ r, onChange }) {
           <option value="fixed">$</option>
         </select>
         <input type="number" className="border rounded-lg p-1 w-20" value={value} onChange={(e)=>setValue(e.target.value)} />
+        {type === "percent" ? (
+          <select className="border rounded-lg p-1" value={base} onChange={(e)=>setBase(e.target.value)} title="Percent of the gross amount, or of the total after the other adjustments">
+            <option value="gross">of gross</option>
+            <option value="running">of running</option>
+          </select>
+        ) : (
+          <CurrencySelect db={db} value={currency || r.currency} onChange={setCurrency} />
+        )}
         <button className="border rounded-lg px-2" onClick={add}>Add</button>
       </div>
+      {(r.adjustments||[]).length > 0 && <AdjustmentBreakdown r={r} money={money} />}
+      {db.meta.taxRules.length > 0 && (
+        <select className="border rounded-lg p-1 mt-1 text-xs" value="" onChange={(e)=>{ const rule = db.meta.taxRules.find((t) => t.id === e.target.value); if (rule) onChange([...(r.adjustments||[]), adjustmentFromRule(rule)]); }}>
+          <option value="">+ From tax rules…</option>
+          {db.meta.taxRules.map((t) => <option key={t.id} value={t.id}>{t.name} ({t.type === "percent" ? `${t.value}%` : t.value})</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
+
+// How the row gets from gross to net, step by step, in the reporting currency
+function AdjustmentBreakdown({ r, money }) {
+  const { gross, steps, net } = adjustmentSteps(r, money.rates);
+  const sign = (v) => (v < 0 ? "−" : "+") + money.fmt(Math.abs(v));
+  return (
+    <details className="text-xs text-gray-500 mt-1">
+      <summary className="cursor-pointer">Breakdown</summary>
+      <table className="mt-1">
+        <tbody>
+          <tr><td className="pr-2">Gross</td><td className="text-right">{money.fmt(gross)}</td></tr>
+          {steps.map(({ adj, delta, before }) => (
+            <tr key={adj.id}>
+              <td className="pr-2">{adj.label} <span className="text-gray-400">{adj.type === "percent" ? `${adj.value}% of ${money.fmt(adj.base === "gross" ? gross : before)}` : `${adj.value} ${adj.currency || "USD"}`}</span></td>
+              <td className="text-right">{sign(delta)}</td>
+            </tr>
+          ))}
+          <tr className="border-t font-medium"><td className="pr-2">Net</td><td className="text-right">{money.fmt(net)}</td></tr>
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+function TaxRules({ db, onUpdate, onRemove }) {
+  const members = activeMembers(db);
+  return (
+    <div className="space-y-2 text-xs">
+      {db.meta.taxRules.map((t) => (
+        <div key={t.id} className="border rounded-xl p-2 space-y-1">
+          <div className="flex items-center gap-1">
+            <input className="flex-1 min-w-0 border rounded-lg p-1 text-sm" value={t.name} onChange={(e)=>onUpdate(t.id, { name: e.target.value })} />
+            <button className="text-gray-400" onClick={()=> confirm(`Remove ${t.name}? Rows that use it keep their copy.`) && onRemove(t.id)}>×</button>
+          </div>
+          <div className="flex flex-wrap items-center gap-1">
+            <select className="border rounded-lg p-1" value={t.kind} onChange={(e)=>onUpdate(t.id, { kind: e.target.value })}>
+              {TAX_KINDS.map((k) => <option key={k}>{k}</option>)}
+            </select>
+            <PercentAmountToggle value={t.type === "fixed" ? "amount" : "percent"} onChange={(v)=>onUpdate(t.id, { type: v === "amount" ? "fixed" : "percent" })} />
+            <input type="number" className="border rounded-lg p-1 w-16" value={t.value} onChange={(e)=>onUpdate(t.id, { value: parseFloat(e.target.value||0) })} />
+            <select className="border rounded-lg p-1" value={t.stage} onChange={(e)=>onUpdate(t.id, { stage: e.target.value })} title="Applied before or after the row's other adjustments">
+              {TAX_STAGES.map((st) => <option key={st} value={st}>{st} others</option>)}
+            </select>
+            <select className="border rounded-lg p-1" value={t.bearer} onChange={(e)=>onUpdate(t.id, { bearer: e.target.value })} title="Who bears it">
+              <option value="split">shared by split</option>
+              {members.map((m) => <option key={m.id} value={m.id}>{m.name} bears it</option>)}
+            </select>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TaxReport({ db, money, matchesFilters }) {
+  const [period, setPeriod] = useState("month");
+  const report = useMemo(() => taxReport(db, money.rates, { period, include: matchesFilters }), [db, money, period, matchesFilters]);
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2 text-xs text-gray-500">
+        Group by
+        <select className="border rounded-lg p-1" value={period} onChange={(e)=>setPeriod(e.target.value)}>
+          <option value="month">month</option>
+          <option value="quarter">quarter</option>
+          <option value="year">year</option>
+        </select>
+        <span>· rows in the current filters, amounts in {money.cur.code} (negative reduces the net)</span>
+      </div>
+      {!report.rules.length ? <div className="text-gray-400">No taxes or adjustments in this period.</div> : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="p-2">Rule</th>
+                {report.periods.map((p) => <th key={p} className="p-2 text-right">{p}</th>)}
+                <th className="p-2 text-right">Total</th>
+                <th className="p-2 text-right">Base</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rules.map((g) => (
+                <tr key={g.id} className="border-t">
+                  <td className="p-2">{g.name} {g.kind && <span className="text-xs text-gray-400">{g.kind}</span>}</td>
+                  {report.periods.map((p) => <td key={p} className="p-2 text-right">{g.byPeriod[p] ? money.fmt(g.byPeriod[p]) : ""}</td>)}
+                  <td className="p-2 text-right font-medium">{money.fmt(g.total)}</td>
+                  <td className="p-2 text-right text-gray-500">{money.fmt(g.base)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
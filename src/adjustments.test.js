@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { adjustmentSteps, invoiceTotals, netUsdOf } from "./money.js";
+
+// registry rates: units of each currency per 1 USD
+const rates = { USD: 1, ARS: 1000, EUR: 0.92 };
+const row = (over = {}) => ({ currency: "USD", amount: 1000, fxRate: 0, lines: [], adjustments: [], ...over });
+const pct = (value, extra = {}) => ({ id: `p${value}`, label: `${value}%`, type: "percent", value, base: "running", ...extra });
+const fixed = (value, currency = "USD", extra = {}) => ({ id: `f${value}${currency}`, label: `${value} ${currency}`, type: "fixed", value, currency, ...extra });
+const cents = (list) => list.map((n) => Math.round(n * 100) / 100);
+
+describe("adjustment order", () => {
+  it("does not depend on the order the adjustments were added in", () => {
+    const adjs = [pct(-3), fixed(100), pct(21), fixed(-40), pct(5, { base: "gross" })];
+    const nets = [adjs, [...adjs].reverse(), [adjs[2], adjs[0], adjs[4], adjs[3], adjs[1]]].map((a) => netUsdOf(row({ adjustments: a }), rates));
+    expect(nets[1]).toBeCloseTo(nets[0], 9);
+    expect(nets[2]).toBeCloseTo(nets[0], 9);
+  });
+
+  it("applies fixed amounts before compounding percents", () => {
+    // (1000 + 100) * 0.97
+    expect(netUsdOf(row({ adjustments: [pct(-3), fixed(100)] }), rates)).toBeCloseTo(1067, 9);
+    expect(adjustmentSteps(row({ adjustments: [pct(-3), fixed(100)] }), rates).steps.map((s) => s.adj.type)).toEqual(["fixed", "percent"]);
+  });
+
+  it("runs catalog stages around the ad-hoc adjustments", () => {
+    // before: -3% of 1000 -> 970; ad-hoc +100 -> 1070; after: +21% -> 1294.7
+    const adjs = [pct(21, { stage: "after" }), fixed(100), pct(-3, { stage: "before" })];
+    const { steps, net } = adjustmentSteps(row({ adjustments: adjs }), rates);
+    expect(steps.map((s) => s.adj.value)).toEqual([-3, 100, 21]);
+    expect(cents(steps.map((s) => s.after))).toEqual([970, 1070, 1294.7]);
+    expect(net).toBeCloseTo(1294.7, 9);
+  });
+});
+
+describe("percent bases", () => {
+  it("adds percents of the gross without compounding", () => {
+    expect(netUsdOf(row({ adjustments: [pct(21, { base: "gross" }), pct(-3, { base: "gross" })] }), rates)).toBeCloseTo(1180, 9);
+  });
+
+  it("compounds percents of the running total", () => {
+    expect(netUsdOf(row({ adjustments: [pct(21), pct(-3)] }), rates)).toBeCloseTo(1173.7, 9);
+  });
+
+  it("takes gross percents and fixed amounts before the running percents", () => {
+    // 1000 - 50 (5% of gross) + 100 = 1050, then +21% -> 1270.5
+    expect(netUsdOf(row({ adjustments: [pct(21), pct(-5, { base: "gross" }), fixed(100)] }), rates)).toBeCloseTo(1270.5, 9);
+  });
+});
+
+describe("fixed amounts and currencies", () => {
+  // 1,250,000 ARS at the row's own 1250 ARS/USD = 1000 USD (the registry says 1000 ARS/USD)
+  const peso = (adjustments) => row({ currency: "ARS", amount: 1250000, fxRate: 1250, adjustments });
+
+  it("values an amount in the row currency at the row's rate", () => {
+    expect(netUsdOf(peso([fixed(-125000, "ARS")]), rates)).toBeCloseTo(900, 9);
+  });
+
+  it("values an amount in another currency at the registry rate", () => {
+    expect(netUsdOf(peso([fixed(-92, "EUR")]), rates)).toBeCloseTo(900, 9);
+    expect(netUsdOf(peso([fixed(-100, "USD")]), rates)).toBeCloseTo(900, 9);
+  });
+
+  it("prints the document in the row currency", () => {
+    const totals = invoiceTotals(peso([fixed(-125000, "ARS"), fixed(-100, "USD"), pct(10)]), rates);
+    expect(totals.subtotal).toBe(1250000);
+    expect(cents(totals.adjustments.map((a) => a.amount))).toEqual([-125000, -125000, 100000]);
+    expect(totals.total).toBeCloseTo(1100000, 6);
+  });
+});
+
+describe("rows without an FX rate", () => {
+  const unpriced = (adjustments) => row({ currency: "ARS", amount: 100000, fxRate: 0, adjustments });
+
+  it("counts the gross and row-currency amounts as 0 USD but keeps USD amounts", () => {
+    const { gross, net } = adjustmentSteps(unpriced([fixed(-5000, "ARS"), fixed(-10, "USD"), pct(21)]), rates);
+    expect(gross).toBe(0);
+    expect(net).toBeCloseTo(-12.1, 9);
+  });
+
+  it("falls back to the registry rate for the printed document", () => {
+    // 100 USD - 10 USD = 90 USD, +21% = 108.9 USD, at 1000 ARS/USD
+    const totals = invoiceTotals(unpriced([fixed(-10, "USD"), pct(21)]), rates);
+    expect(cents(totals.adjustments.map((a) => a.amount))).toEqual([-10000, 18900]);
+    expect(totals.total).toBeCloseTo(108900, 6);
+  });
+
+  it("treats a currency the registry has no rate for as 1:1", () => {
+    const totals = invoiceTotals(row({ currency: "CLP", amount: 500, fxRate: 0, adjustments: [pct(-10)] }), rates);
+    expect(totals.total).toBeCloseTo(450, 9);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Money arithmetic shared by the app and its tests: row amounts, USD conversion and the ordered adjustments.
+ * `rates` is the registry's { [code]: units per 1 USD }; everything returned is in USD unless noted.
+ */
+
+const toUsd = (value, code, rates) => (code === "USD" ? value : rates[code] ? value / rates[code] : 0);
+
+// An invoice with line items is worth the sum of its lines; every other row has a plain amount
+const lineTotal = (l) => (l.qty || 0) * (l.unitPrice || 0);
+const linesTotal = (lines) => lines.reduce((a, l) => a + lineTotal(l), 0);
+const amountOf = (row) => (row.lines?.length ? linesTotal(row.lines) : row.amount);
+
+// Compute USD for a row: amount / fxRate is the value in fxBase, which the registry converts to USD
+const usdOf = (row, rates = {}) => {
+  const base = row.fxBase || "USD";
+  if (row.currency === base) return toUsd(amountOf(row), base, rates);
+  return row.fxRate ? toUsd(amountOf(row) / row.fxRate, base, rates) : 0;
+};
+// USD value of one unit of the row's currency at the row's own rate
+const unitUsdOf = (row, rates) => usdOf({ currency: row.currency, fxRate: row.fxRate, fxBase: row.fxBase, amount: 1 }, rates);
+
+/**
+ * Adjustments never depend on the order they were added in. Catalog rules marked "before" run first and "after"
+ * last, ad-hoc ones in between; within a stage fixed amounts and percents of the gross come first (they do not
+ * interact), then percents of the running total, which compound in any order to the same result.
+ */
+const STAGE_RANK = { before: 0, after: 2 };
+const adjustmentRank = (a) => (STAGE_RANK[a.stage] ?? 1) * 2 + (a.type === "percent" && a.base !== "gross" ? 1 : 0);
+const orderedAdjustments = (row) => [...(row.adjustments || [])].sort((a, b) => adjustmentRank(a) - adjustmentRank(b));
+
+// USD value of a fixed adjustment; an amount in the row's own currency uses the row's rate, any other the registry
+const fixedUsdOf = (adj, row, rates) => {
+  const cur = adj.currency || "USD";
+  return cur === row.currency ? unitUsdOf(row, rates) * adj.value : toUsd(adj.value, cur, rates);
+};
+
+// -> { gross, steps: [{ adj, delta, before, after }], net }, all in USD
+const adjustmentSteps = (row, rates) => {
+  const gross = usdOf(row, rates);
+  let running = gross;
+  const steps = orderedAdjustments(row).map((adj) => {
+    const delta = adj.type !== "percent" ? fixedUsdOf(adj, row, rates) : (adj.base === "gross" ? gross : running) * adj.value / 100;
+    const before = running;
+    running += delta;
+    return { adj, delta, before, after: running };
+  });
+  return { gross, steps, net: running };
+};
+const netUsdOf = (row, rates) => adjustmentSteps(row, rates).net;
+const adjustmentText = (a) => (a.type === "percent" ? `${a.value}%${a.base === "gross" ? " of gross" : ""}` : `${a.value} ${a.currency || "USD"}`);
+
+// Adjustments replayed in the invoice currency, in the same order netUsdOf applies them (fixed ones from their own currency)
+const invoiceTotals = (inv, rates) => {
+  // the document is in the invoice's currency: without a row rate the registry's stands in (1:1 if it has none either)
+  const priced = inv.fxRate || inv.currency === (inv.fxBase || "USD") ? inv : { ...inv, fxBase: "USD", fxRate: rates[inv.currency] || 1 };
+  const unit = unitUsdOf(priced, rates) || 1;
+  const subtotal = amountOf(inv);
+  const { steps } = adjustmentSteps(priced, rates);
+  const adjustments = steps.map(({ adj: a, delta }) => ({ label: a.type === "percent" ? `${a.label} (${a.value}%)` : a.label, amount: delta / unit }));
+  return { subtotal, adjustments, total: adjustments.reduce((acc, a) => acc + a.amount, subtotal) };
+};
+
+export { toUsd, lineTotal, linesTotal, amountOf, usdOf, unitUsdOf, STAGE_RANK, adjustmentRank, orderedAdjustments, fixedUsdOf, adjustmentSteps, netUsdOf, adjustmentText, invoiceTotals };